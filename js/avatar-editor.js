@@ -0,0 +1,247 @@
+/**
+ * Avatar Editor
+ * Pick a photo, crop it to a square, compress it client-side and upload it
+ */
+
+const AVATAR_PREVIEW_SIZE = 280;
+
+let avatarSourceImage = null;
+let avatarCrop = { zoom: 1, offsetX: 0, offsetY: 0 };
+let avatarDrag = null;
+
+// Wire up editor controls once the page is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const fileInput = document.getElementById('avatar-file-input');
+  const canvas = document.getElementById('avatar-crop-canvas');
+  const zoomInput = document.getElementById('avatar-zoom');
+
+  if (!fileInput || !canvas) return;
+
+  fileInput.addEventListener('change', handleAvatarFileSelected);
+
+  zoomInput.addEventListener('input', () => {
+    avatarCrop.zoom = parseFloat(zoomInput.value);
+    clampAvatarOffset();
+    drawAvatarPreview();
+  });
+
+  // Drag to reposition (mouse and touch)
+  canvas.addEventListener('pointerdown', (e) => {
+    avatarDrag = { x: e.clientX, y: e.clientY, offsetX: avatarCrop.offsetX, offsetY: avatarCrop.offsetY };
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!avatarDrag) return;
+    avatarCrop.offsetX = avatarDrag.offsetX + (e.clientX - avatarDrag.x);
+    avatarCrop.offsetY = avatarDrag.offsetY + (e.clientY - avatarDrag.y);
+    clampAvatarOffset();
+    drawAvatarPreview();
+  });
+
+  ['pointerup', 'pointercancel'].forEach(type => {
+    canvas.addEventListener(type, () => {
+      avatarDrag = null;
+    });
+  });
+});
+
+/**
+ * Open the file picker
+ */
+function openAvatarPicker() {
+  const fileInput = document.getElementById('avatar-file-input');
+  fileInput.value = '';
+  fileInput.click();
+}
+
+/**
+ * Validate the chosen file and open the crop modal
+ */
+function handleAvatarFileSelected(e) {
+  const file = e.target.files && e.target.files[0];
+  if (!file) return;
+
+  if (!file.type.startsWith('image/')) {
+    showAlert('Please choose an image file', 'error');
+    return;
+  }
+
+  if (file.size > CONFIG.AVATAR_MAX_SOURCE_BYTES) {
+    showAlert('Image is too large. Please choose one under 10MB.', 'error');
+    return;
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => {
+    URL.revokeObjectURL(objectUrl);
+    avatarSourceImage = image;
+    avatarCrop = { zoom: 1, offsetX: 0, offsetY: 0 };
+    document.getElementById('avatar-zoom').value = '1';
+    openAvatarModal();
+    drawAvatarPreview();
+  };
+
+  image.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    showAlert('Could not read that image. Please try another one.', 'error');
+  };
+
+  image.src = objectUrl;
+}
+
+/**
+ * Size of the source image drawn at the current zoom, in preview pixels
+ * At zoom 1 the shorter side exactly fills the square
+ */
+function getAvatarDrawSize(targetSize) {
+  const scale = (targetSize / Math.min(avatarSourceImage.width, avatarSourceImage.height)) * avatarCrop.zoom;
+  return {
+    width: avatarSourceImage.width * scale,
+    height: avatarSourceImage.height * scale
+  };
+}
+
+/**
+ * Keep the image covering the whole crop square
+ */
+function clampAvatarOffset() {
+  if (!avatarSourceImage) return;
+
+  const { width, height } = getAvatarDrawSize(AVATAR_PREVIEW_SIZE);
+  const maxX = (width - AVATAR_PREVIEW_SIZE) / 2;
+  const maxY = (height - AVATAR_PREVIEW_SIZE) / 2;
+
+  avatarCrop.offsetX = Math.max(-maxX, Math.min(maxX, avatarCrop.offsetX));
+  avatarCrop.offsetY = Math.max(-maxY, Math.min(maxY, avatarCrop.offsetY));
+}
+
+/**
+ * Draw the cropped square onto a canvas of the given size
+ */
+function renderAvatarCrop(canvas, size) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = getAvatarDrawSize(size);
+  const ratio = size / AVATAR_PREVIEW_SIZE;
+
+  canvas.width = size;
+  canvas.height = size;
+
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, size, size);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(
+    avatarSourceImage,
+    (size - width) / 2 + avatarCrop.offsetX * ratio,
+    (size - height) / 2 + avatarCrop.offsetY * ratio,
+    width,
+    height
+  );
+}
+
+/**
+ * Redraw the crop preview
+ */
+function drawAvatarPreview() {
+  if (!avatarSourceImage) return;
+  renderAvatarCrop(document.getElementById('avatar-crop-canvas'), AVATAR_PREVIEW_SIZE);
+}
+
+/**
+ * Convert canvas to a JPEG blob
+ */
+function canvasToBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to process image'));
+      }
+    }, 'image/jpeg', quality);
+  });
+}
+
+/**
+ * Compress the crop under the size cap
+ * Steps quality down first, then halves the dimensions
+ */
+async function compressAvatar() {
+  const canvas = document.createElement('canvas');
+  let size = CONFIG.AVATAR_SIZE;
+
+  while (size >= 128) {
+    renderAvatarCrop(canvas, size);
+
+    for (let quality = 0.9; quality >= 0.5; quality -= 0.1) {
+      const blob = await canvasToBlob(canvas, quality);
+      if (blob.size <= CONFIG.AVATAR_MAX_BYTES) {
+        return blob;
+      }
+    }
+
+    size = Math.floor(size / 2);
+  }
+
+  throw new Error('Image could not be compressed enough. Please choose a smaller photo.');
+}
+
+/**
+ * Compress and upload the cropped avatar
+ */
+async function saveAvatar() {
+  if (!avatarSourceImage) return;
+
+  setLoadingState('avatar-save-btn', 'avatar-save-text', 'avatar-save-loading', true);
+
+  try {
+    const blob = await compressAvatar();
+    await authService.uploadAvatar(blob);
+
+    renderProfileAvatar();
+    closeAvatarModal();
+    showAlert('Profile photo updated', 'success');
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    showAlert(error.message || 'Failed to upload photo. Please try again.', 'error');
+  } finally {
+    setLoadingState('avatar-save-btn', 'avatar-save-text', 'avatar-save-loading', false);
+  }
+}
+
+/**
+ * Remove the current avatar and fall back to initials
+ */
+async function removeAvatar() {
+  const confirmRemove = confirm('Remove your profile photo?');
+  if (!confirmRemove) return;
+
+  try {
+    await authService.removeAvatar();
+    renderProfileAvatar();
+    showAlert('Profile photo removed', 'success');
+  } catch (error) {
+    console.error('Avatar removal error:', error);
+    showAlert(error.message || 'Failed to remove photo. Please try again.', 'error');
+  }
+}
+
+/**
+ * Show crop modal
+ */
+function openAvatarModal() {
+  document.getElementById('avatar-modal').classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide crop modal
+ */
+function closeAvatarModal() {
+  document.getElementById('avatar-modal').classList.add('hidden');
+  document.body.style.overflow = '';
+  avatarSourceImage = null;
+}
@@ -0,0 +1,318 @@
+/**
+ * Bet Builder Page JavaScript
+ * Pick a match, risk level and number of selections, then generate a slip (premium only)
+ */
+
+const RISK_LABELS = { low: 'Low Risk', medium: 'Medium Risk', high: 'High Risk' };
+
+let builderMatches = [];
+let generatedSlip = null;
+
+// Cancels the slip request still running when the inputs change
+let generateController = null;
+
+// Page load
+document.addEventListener('DOMContentLoaded', async () => {
+  const isSubscriber = await checkSubscriptionActive();
+  document.getElementById('builder-loading').classList.add('hidden');
+
+  if (!isSubscriber) {
+    document.getElementById('builder-locked').classList.remove('hidden');
+    return;
+  }
+
+  document.getElementById('builder-content').classList.remove('hidden');
+  setupEventListeners();
+  await loadMatches();
+});
+
+/**
+ * Setup form listeners
+ */
+function setupEventListeners() {
+  const selectionsInput = document.getElementById('selections-input');
+  selectionsInput.addEventListener('input', () => {
+    document.getElementById('selections-value').textContent = selectionsInput.value;
+  });
+
+  document.getElementById('match-select').addEventListener('change', () => {
+    document.getElementById('match-select-error').textContent = '';
+  });
+
+  // A slip for the old inputs is no longer wanted
+  document.getElementById('builder-form').addEventListener('change', cancelGenerate);
+
+  document.getElementById('builder-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await handleGenerate();
+  });
+}
+
+/**
+ * Fixture id of a prediction code, as sent by /codes (matchId, or match_id on older payloads)
+ * This is the {matchId} the generate endpoint expects - null when the code doesn't carry one
+ */
+function getCodeMatchId(code) {
+  const matchId = code.matchId ?? code.match_id;
+  return matchId ? String(matchId) : null;
+}
+
+/**
+ * Build the match list from prediction codes that name both teams and their fixture id
+ */
+async function loadMatches() {
+  const select = document.getElementById('match-select');
+
+  try {
+    const [freeResponse, premiumResponse] = await Promise.all([
+      apiService.get(CONFIG.ENDPOINTS.CODES.FREE, false, { cache: true }),
+      apiService.get(CONFIG.ENDPOINTS.CODES.PREMIUM).catch(error => {
+        console.error('Failed to load premium codes:', error);
+        return { data: [] };
+      })
+    ]);
+
+    const codes = [...(freeResponse.data || []), ...(premiumResponse.data || [])];
+    const predictions = codes.filter(code => code.team1 && code.team2);
+    const seen = new Set();
+
+    // Only codes that name their match can be built on - a code's own id isn't a match id
+    builderMatches = predictions
+      .filter(code => getCodeMatchId(code))
+      .map(code => ({
+        id: getCodeMatchId(code),
+        team1: code.team1,
+        team2: code.team2,
+        country: code.country,
+        date: code.expirationDate
+      }))
+      .filter(match => {
+        if (seen.has(match.id)) return false;
+        seen.add(match.id);
+        return true;
+      });
+
+    if (builderMatches.length === 0) {
+      select.innerHTML = '<option value="">No matches available right now</option>';
+      select.disabled = true;
+      document.getElementById('generate-btn').disabled = true;
+
+      if (predictions.length > 0) {
+        // Matches exist but the codes feed doesn't say which fixture they are
+        console.warn('Bet Builder: /codes returned predictions without matchId/match_id');
+        showAlert('The Bet Builder isn\'t available for today\'s matches yet. Please check back later.', 'info');
+      } else {
+        showAlert('No matches are available to build on right now. Please check back later.', 'info');
+      }
+      return;
+    }
+
+    select.innerHTML = '<option value="">Select a match</option>' + builderMatches.map(match => `
+      <option value="${securityManager.sanitizeHTML(match.id)}">
+        ${securityManager.sanitizeHTML(`${match.team1} vs ${match.team2}`)}${match.date ? ` (${formatDate(match.date)})` : ''}
+      </option>
+    `).join('');
+
+  } catch (error) {
+    console.error('Failed to load matches:', error);
+    showAlert('Failed to load matches. Please refresh the page.', 'error');
+  }
+}
+
+/**
+ * Generate a slip for the chosen match
+ */
+async function handleGenerate() {
+  clearAlerts();
+
+  const matchId = document.getElementById('match-select').value;
+  const risk = document.querySelector('input[name="risk"]:checked').value;
+  const selections = parseInt(document.getElementById('selections-input').value, 10);
+
+  const match = builderMatches.find(m => m.id === matchId);
+  if (!match) {
+    document.getElementById('match-select-error').textContent = 'Please select a match';
+    return;
+  }
+
+  cancelGenerate();
+  const controller = new AbortController();
+  generateController = controller;
+
+  setLoadingState('generate-btn', 'generate-btn-text', 'generate-btn-loading', true);
+
+  try {
+    const endpoint = `${CONFIG.ENDPOINTS.BET_BUILDER.GENERATE}/${encodeURIComponent(matchId)}/generate`;
+    const response = await apiService.post(endpoint, { risk, selections }, true, { signal: controller.signal });
+
+    generatedSlip = normalizeSlip(response.data, match, risk);
+
+    if (generatedSlip.selections.length === 0) {
+      throw new Error('No selections could be built for this match. Try a different risk level.');
+    }
+
+    displaySlip(generatedSlip);
+
+  } catch (error) {
+    if (apiService.isAbortError(error)) return;
+
+    console.error('Bet builder error:', error);
+    showAlert(error.message || 'Failed to generate slip. Please try again.', 'error');
+  } finally {
+    if (generateController === controller) {
+      generateController = null;
+      setLoadingState('generate-btn', 'generate-btn-text', 'generate-btn-loading', false);
+    }
+  }
+}
+
+/**
+ * Abort the slip request in progress, if any
+ */
+function cancelGenerate() {
+  if (generateController) {
+    generateController.abort();
+    generateController = null;
+    setLoadingState('generate-btn', 'generate-btn-text', 'generate-btn-loading', false);
+  }
+}
+
+/**
+ * Map the generate response onto a single slip shape
+ * Combined odds fall back to the product of the selection odds
+ */
+function normalizeSlip(data, match, risk) {
+  const payload = data || {};
+  const rawSelections = Array.isArray(payload) ? payload : (payload.selections || payload.legs || []);
+
+  const selections = rawSelections.map(item => ({
+    market: item.market || item.marketName || '',
+    pick: item.pick || item.selection || item.outcome || item.text || '',
+    odds: parseFloat(item.odds) || 0
+  }));
+
+  const computedOdds = selections.reduce((total, item) => total * (item.odds || 1), 1);
+  const totalOdds = parseFloat(payload.totalOdds || payload.combinedOdds || payload.odds) || computedOdds;
+
+  return {
+    match,
+    risk: payload.risk || risk,
+    code: payload.code || payload.bookingCode || '',
+    platform: payload.platform || '',
+    selections,
+    totalOdds: Math.round(totalOdds * 100) / 100
+  };
+}
+
+/**
+ * Render the generated slip
+ */
+function displaySlip(slip) {
+  const container = document.getElementById('slip-container');
+
+  container.innerHTML = `
+    <div class="slip-header">
+      <div>
+        <h3>${securityManager.sanitizeHTML(`${slip.match.team1} vs ${slip.match.team2}`)}</h3>
+        <span class="slip-risk slip-risk-${securityManager.sanitizeHTML(slip.risk)}">
+          ${RISK_LABELS[slip.risk] || securityManager.sanitizeHTML(slip.risk)}
+        </span>
+      </div>
+      <div class="slip-total">
+        <span class="slip-total-label">Combined Odds</span>
+        <span class="slip-total-value">${slip.totalOdds}</span>
+      </div>
+    </div>
+
+    <ul class="slip-selections">
+      ${slip.selections.map(item => `
+        <li class="slip-selection">
+          <div class="slip-selection-info">
+            <span class="slip-market">${securityManager.sanitizeHTML(item.market)}</span>
+            <span class="slip-pick">${securityManager.sanitizeHTML(item.pick)}</span>
+          </div>
+          <span class="slip-odds">${item.odds ? item.odds.toFixed(2) : '-'}</span>
+        </li>
+      `).join('')}
+    </ul>
+
+    ${slip.code ? `
+      <div class="slip-code">
+        <span>${securityManager.sanitizeHTML(getPlatformText(slip.platform) || 'Booking Code')}</span>
+        <strong>${securityManager.sanitizeHTML(slip.code)}</strong>
+      </div>
+    ` : ''}
+
+    <div class="form-actions">
+      <button type="button" class="btn btn-outline" onclick="copySlip()">Copy Slip</button>
+      <button type="button" class="btn btn-primary" onclick="shareSlip()">Share Slip</button>
+    </div>
+  `;
+
+  container.classList.remove('hidden');
+  container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Plain-text version of the slip for copying and sharing
+ * A booking code is shared on its own when the backend returns one
+ */
+function getSlipText(slip) {
+  if (slip.code) return slip.code;
+
+  const lines = slip.selections.map(item => `${item.market ? `${item.market}: ` : ''}${item.pick} @ ${item.odds.toFixed(2)}`);
+  lines.push(`Total odds: ${slip.totalOdds}`);
+  return lines.join('\n');
+}
+
+/**
+ * Copy the generated slip
+ */
+function copySlip() {
+  if (!generatedSlip) return;
+  copyCode(getSlipText(generatedSlip));
+}
+
+/**
+ * Share the generated slip
+ */
+function shareSlip() {
+  if (!generatedSlip) return;
+  shareCode(
+    getSlipText(generatedSlip),
+    getPlatformText(generatedSlip.platform),
+    `${generatedSlip.match.team1} vs ${generatedSlip.match.team2}`
+  );
+}
+
+/**
+ * Show alert message
+ */
+function showAlert(message, type = 'info') {
+  const container = document.getElementById('alert-container');
+  container.innerHTML = `
+    <div class="alert alert-${type}">
+      ${securityManager.sanitizeHTML(message)}
+    </div>
+  `;
+}
+
+/**
+ * Clear alert messages
+ */
+function clearAlerts() {
+  document.getElementById('alert-container').innerHTML = '';
+}
+
+/**
+ * Set loading state for buttons
+ */
+function setLoadingState(btnId, textId, loadingId, loading) {
+  const btn = document.getElementById(btnId);
+  const text = document.getElementById(textId);
+  const loadingEl = document.getElementById(loadingId);
+
+  btn.disabled = loading;
+  text.classList.toggle('hidden', loading);
+  loadingEl.classList.toggle('hidden', !loading);
+}
@@ -0,0 +1,176 @@
+/**
+ * Code Detail Page JavaScript
+ * Loads a single code from /codes/{id} so cards and shared links have somewhere to land
+ */
+
+const detailCodeId = new URLSearchParams(window.location.search).get('id');
+
+let currentCode = null;
+
+// Page load
+document.addEventListener('DOMContentLoaded', () => {
+  loadCodeDetail();
+});
+
+/**
+ * Fetch the code and render it
+ */
+async function loadCodeDetail() {
+  if (!detailCodeId) {
+    showCodeNotFound();
+    return;
+  }
+
+  try {
+    const response = await apiService.get(`${CONFIG.ENDPOINTS.CODES.BY_ID}/${encodeURIComponent(detailCodeId)}`);
+    const code = response.data && response.data.data ? response.data.data : response.data;
+
+    if (!code || typeof code !== 'object') {
+      showCodeNotFound();
+      return;
+    }
+
+    currentCode = code;
+    registerCode(code);
+    displayCodeDetail(code);
+
+  } catch (error) {
+    console.error('Failed to load code:', error);
+
+    if (error.status === 404) {
+      showCodeNotFound();
+    } else {
+      showCodeError(error.message);
+    }
+  }
+}
+
+/**
+ * Render every field of the code
+ */
+function displayCodeDetail(code) {
+  const container = document.getElementById('code-detail');
+  const isPrediction = code.platform?.toLowerCase() === 'foresport';
+  const hasTeams = code.team1 && code.team2;
+  const title = hasTeams ? `${code.team1} vs ${code.team2}` : getPlatformText(code.platform);
+
+  document.title = `${title} - Surely`;
+
+  const details = [
+    { label: 'Platform', value: `${getProviderFlag(getPlatformText(code.platform))} ${getPlatformText(code.platform)}` },
+    { label: 'Country', value: `${getCountryFlag(code.country)} ${code.country || 'International'}` },
+    { label: 'Odds', value: code.odds ? (Math.round(code.odds * 100) / 100).toString() : '-' },
+    { label: '⭐ Rating', value: code.rating ? (Math.round(code.rating * 10) / 10).toString() : '-', ratingValue: true },
+    { label: 'Source Accuracy', value: code.accuracy ? `${code.accuracy}%` : '-' },
+    { label: 'Expires', value: code.expirationDate ? formatDate(code.expirationDate) : '-' },
+    { label: 'Posted', value: code.createdAt ? `${formatDate(code.createdAt)} (${formatTimeAgo(code.createdAt)})` : '-' }
+  ];
+
+  container.innerHTML = `
+    <div class="code-detail-card"${getCodeId(code) ? ` data-code-id="${securityManager.sanitizeHTML(getCodeId(code))}"` : ''}>
+      <div class="code-detail-header">
+        <span class="code-detail-type">${isPrediction ? 'Prediction' : 'Booking Code'}</span>
+        <h1>${securityManager.sanitizeHTML(title)}</h1>
+      </div>
+
+      <div class="code-detail-value">${securityManager.sanitizeHTML(code.text || '')}</div>
+
+      ${hasTeams ? `
+        <div class="prediction-teams">
+          <div class="team">${securityManager.sanitizeHTML(code.team1)}</div>
+          <div class="team">${securityManager.sanitizeHTML(code.team2)}</div>
+        </div>
+      ` : ''}
+
+      <dl class="code-detail-grid">
+        ${details.map(item => `
+          <div class="code-detail-item">
+            <dt>${item.label}</dt>
+            <dd${item.ratingValue ? ' data-rating-value' : ''}>${securityManager.sanitizeHTML(item.value)}</dd>
+          </div>
+        `).join('')}
+      </dl>
+
+      ${getCodeId(code) ? renderRatingControl(getCodeId(code)) : ''}
+
+      <div class="form-actions">
+        <a href="../index.html#codes" class="btn btn-outline">Back to Codes</a>
+        <button type="button" class="btn btn-outline" onclick="copyCurrentCode()">Copy Code</button>
+        ${getCodeId(code) ? '<button type="button" class="btn btn-outline" onclick="trackCurrentCode()">Track Bet</button>' : ''}
+        <button type="button" class="btn btn-primary" onclick="shareCurrentCode()">Share</button>
+        ${getCodeId(code) ? renderBookmakerButton(code, getCodeId(code), 'btn btn-outline') : ''}
+        ${getCodeId(code) ? renderSaveButton(getCodeId(code)) : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Copy the code text
+ */
+function copyCurrentCode() {
+  if (!currentCode) return;
+  copyCode(currentCode.text, { codeId: getCodeId(currentCode) });
+}
+
+/**
+ * Record a bet placed with this code in the ledger
+ */
+function trackCurrentCode() {
+  if (!currentCode) return;
+  trackCode(getCodeId(currentCode));
+}
+
+/**
+ * Share a link back to this page
+ */
+function shareCurrentCode() {
+  if (!currentCode) return;
+
+  const context = currentCode.team1 && currentCode.team2
+    ? `${currentCode.team1} vs ${currentCode.team2}`
+    : currentCode.country;
+
+  shareCode(currentCode.text, currentCode.platform, context, getCodeId(currentCode) || detailCodeId);
+}
+
+/**
+ * Show not-found state
+ */
+function showCodeNotFound() {
+  document.title = 'Code Not Found - Surely';
+  document.getElementById('code-detail').innerHTML = `
+    <div class="no-codes-message">
+      <h3>Code Not Found</h3>
+      <p>This code may have expired or been removed.</p>
+      <a href="../index.html#codes" class="btn btn-primary">Browse Codes</a>
+    </div>
+  `;
+}
+
+/**
+ * Show load error state
+ * Premium codes need a session, so logged-out users are offered a login that returns here
+ */
+function showCodeError(message) {
+  const needsLogin = !securityManager.isAuthenticated();
+
+  document.getElementById('code-detail').innerHTML = `
+    <div class="no-codes-message">
+      <h3>Unable to Load Code</h3>
+      <p>${securityManager.sanitizeHTML(message || 'There was an error loading this code. Please try again.')}</p>
+      ${needsLogin ? `
+        <a href="./login.html" class="btn btn-primary" onclick="rememberCodeForLogin()">Login to View</a>
+      ` : `
+        <button class="btn btn-primary" onclick="loadCodeDetail()">Retry</button>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Return to this code after logging in
+ */
+function rememberCodeForLogin() {
+  sessionStorage.setItem('redirectAfterLogin', window.location.pathname + window.location.search);
+}
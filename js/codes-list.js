@@ -0,0 +1,228 @@
+/**
+ * All Codes Page JavaScript
+ * Browse every code from /codes with page or cursor pagination and infinite scroll
+ * Expired codes are collected into a collapsible group below the list
+ */
+
+const codesListState = {
+  page: 1,
+  cursor: null,
+  hasMore: true,
+  loading: false,
+  loaded: 0,
+  total: null,
+  fullList: null, // Set when the backend ignores paging and returns everything at once
+  expired: []
+};
+
+let codesObserver = null;
+
+// Page load
+document.addEventListener('DOMContentLoaded', () => {
+  const sentinel = document.getElementById('codes-sentinel');
+
+  if ('IntersectionObserver' in window) {
+    codesObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadNextCodesPage();
+      }
+    }, { rootMargin: '400px 0px' });
+    codesObserver.observe(sentinel);
+  } else {
+    // No observer support - fall back to a manual button
+    loadNextCodesPage();
+  }
+
+  initShowExpiredToggle(document.getElementById('show-expired-toggle'), updateExpiredCodes);
+  window.addEventListener('codesExpired', moveExpiredCards);
+});
+
+/**
+ * Load and append the next page of codes
+ */
+async function loadNextCodesPage() {
+  if (codesListState.loading || !codesListState.hasMore) return;
+
+  const container = document.getElementById('codes-list');
+  let loadedPage = false;
+  codesListState.loading = true;
+  setCodesListStatus('', false);
+  container.insertAdjacentHTML('beforeend', `<div class="codes-list-skeletons" style="display: contents;">${renderCodeSkeletons(3)}</div>`);
+
+  try {
+    const codes = codesListState.fullList ? nextClientPage() : await fetchCodesPage();
+    removeCodeSkeletons();
+
+    if (codesListState.loaded === 0 && codes.length === 0) {
+      container.innerHTML = `
+        <div class="no-codes-message">
+          <h3>No Codes Available</h3>
+          <p>Codes are updated regularly. Check back soon!</p>
+        </div>
+      `;
+      codesListState.hasMore = false;
+      stopObservingCodes();
+      return;
+    }
+
+    const { active, expired } = splitExpiredCodes(codes);
+    container.insertAdjacentHTML('beforeend', renderCodeCards(active));
+    codesListState.expired.push(...expired);
+    codesListState.loaded += codes.length;
+    updateExpiredCodes();
+    loadedPage = true;
+
+    if (!codesListState.hasMore) {
+      setCodesListStatus("You've reached the end", false);
+      stopObservingCodes();
+    } else if (!codesObserver) {
+      setCodesListStatus('', true);
+    }
+
+  } catch (error) {
+    console.error('Failed to load codes:', error);
+    removeCodeSkeletons();
+    setCodesListStatus('There was an error loading codes.', true);
+  } finally {
+    codesListState.loading = false;
+  }
+
+  // The observer only fires on changes, so keep going while the sentinel is still on screen
+  if (loadedPage && codesObserver && codesListState.hasMore && isSentinelVisible()) {
+    loadNextCodesPage();
+  }
+}
+
+/**
+ * Fetch one page from the backend
+ * Handles page-based and cursor-based responses, and plain arrays as a full list
+ */
+async function fetchCodesPage() {
+  const params = new URLSearchParams({ limit: CONFIG.CODES_PAGE_SIZE });
+
+  if (codesListState.cursor) {
+    params.set('cursor', codesListState.cursor);
+  } else {
+    params.set('page', codesListState.page);
+  }
+
+  const response = await apiService.get(`${CONFIG.ENDPOINTS.CODES.FREE}?${params.toString()}`, false);
+  const data = response.data;
+
+  // Backend ignored paging - page through the array locally
+  if (Array.isArray(data)) {
+    codesListState.fullList = data;
+    codesListState.total = data.length;
+    return nextClientPage();
+  }
+
+  const items = (data && (data.data || data.codes || data.items || data.results)) || [];
+  const nextCursor = data && (data.nextCursor || data.next_cursor);
+  const totalPages = data && (data.totalPages || data.total_pages);
+
+  codesListState.total = data && (data.total || data.totalCount || data.count) || null;
+  codesListState.cursor = nextCursor || null;
+  codesListState.page += 1;
+
+  if (data && typeof data.hasMore === 'boolean') {
+    codesListState.hasMore = data.hasMore;
+  } else if (nextCursor) {
+    codesListState.hasMore = true;
+  } else if (totalPages) {
+    codesListState.hasMore = codesListState.page <= totalPages;
+  } else {
+    codesListState.hasMore = items.length >= CONFIG.CODES_PAGE_SIZE;
+  }
+
+  return items;
+}
+
+/**
+ * Take the next slice of a full list
+ */
+function nextClientPage() {
+  const start = codesListState.loaded;
+  const codes = codesListState.fullList.slice(start, start + CONFIG.CODES_PAGE_SIZE);
+  codesListState.hasMore = start + codes.length < codesListState.fullList.length;
+  return codes;
+}
+
+/**
+ * Re-render the expired group
+ */
+function updateExpiredCodes() {
+  renderExpiredGroup(document.getElementById('expired-codes-group'), codesListState.expired);
+  updateCodesCount();
+}
+
+/**
+ * Take cards whose countdown just ran out out of the list and into the expired group
+ */
+function moveExpiredCards() {
+  const cards = document.querySelectorAll('#codes-list .code-card-expired');
+  if (cards.length === 0) return;
+
+  cards.forEach(card => {
+    const code = renderedCodes.get(card.dataset.codeId);
+    if (code) codesListState.expired.unshift(code);
+    card.remove();
+  });
+
+  updateExpiredCodes();
+}
+
+/**
+ * Remove loading placeholders
+ */
+function removeCodeSkeletons() {
+  document.querySelectorAll('.codes-list-skeletons').forEach(el => el.remove());
+}
+
+/**
+ * Show how many codes are on screen
+ * Expired codes only count while the expired group is shown; the server's total includes them either way
+ */
+function updateCodesCount() {
+  const countEl = document.getElementById('codes-count');
+  const expired = codesListState.expired.length;
+  const live = codesListState.loaded - expired;
+  const showExpired = getShowExpiredCodes();
+  
+  let text = codesListState.total
+    ? `Showing ${showExpired ? codesListState.loaded : live} of ${codesListState.total} codes`
+    : `Showing ${showExpired ? codesListState.loaded : live} codes`;
+  
+  if (expired > 0) {
+    text += showExpired ? ` (${expired} expired)` : ` (${expired} expired hidden)`;
+  }
+  
+  countEl.textContent = text;
+}
+
+/**
+ * Update the status line under the grid
+ */
+function setCodesListStatus(message, showLoadMore) {
+  const loadMoreBtn = document.getElementById('load-more-btn');
+  document.getElementById('codes-list-message').textContent = message;
+  loadMoreBtn.textContent = message ? 'Retry' : 'Load More';
+  loadMoreBtn.classList.toggle('hidden', !showLoadMore);
+}
+
+/**
+ * Check whether the sentinel is within the preload margin
+ */
+function isSentinelVisible() {
+  const rect = document.getElementById('codes-sentinel').getBoundingClientRect();
+  return rect.top < window.innerHeight + 400;
+}
+
+/**
+ * Stop infinite scroll once everything is loaded
+ */
+function stopObservingCodes() {
+  if (codesObserver) {
+    codesObserver.disconnect();
+    codesObserver = null;
+  }
+}
@@ -0,0 +1,993 @@
+/**
+ * Shared Code Card Helpers
+ * Card rendering, filtering, expiry countdowns, copy/share/open/save/track/rate actions and formatting used by every page that lists codes
+ */
+
+// Saved state can change from another card or after the user loads
+window.addEventListener('savedCodesChanged', updateSaveButtons);
+
+// An offline rating was rejected on replay - unlock the stars and restore the average
+window.addEventListener('ratingReverted', revertRatingDisplay);
+
+// Keep countdowns ticking; pages listen for codesExpired to regroup their cards
+setInterval(updateCountdowns, CONFIG.CODES_COUNTDOWN_INTERVAL);
+
+// Booking platforms and their display names
+const PLATFORM_NAMES = {
+  '1xbet': '1XBET',
+  'sportybet': 'SportyBet',
+  'bet9ja': 'Bet9ja',
+  'betking': 'BetKing',
+  'betway': 'Betway',
+  'livescorebet': 'LivescoreBet',
+  'megapari': 'Megapari',
+  'betfigo': 'BetFigo',
+  'ng234bet': 'NG234Bet'
+};
+
+// Codes currently on screen by id, so card actions can reach the full code
+const renderedCodes = new Map();
+
+// Filter fields kept in the URL query, in the order they are written
+const CODE_FILTER_KEYS = ['q', 'platform', 'country', 'type', 'minOdds', 'maxOdds', 'minRating', 'sort'];
+
+// Device preference for listing expired codes
+const SHOW_EXPIRED_KEY = '__surely_show_expired__';
+
+/**
+ * Check whether the user has an active subscription
+ * GET /payments/me
+ */
+async function checkSubscriptionActive() {
+  if (!securityManager.isAuthenticated()) return false;
+  
+  try {
+    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME, true, { cache: true });
+    return Boolean(response.success && response.data && response.data.active === true);
+  } catch (error) {
+    console.error('Failed to check subscription:', error);
+    return false;
+  }
+}
+
+/**
+ * Render code cards, picking the layout per code
+ */
+function renderCodeCards(codes) {
+  return codes.map(code => {
+    registerCode(code);
+    
+    // Check if it's a prediction type (foresport) or regular code type
+    if (isPredictionCode(code)) {
+      return createPredictionCard(code);
+    } else {
+      return createCodeCard(code);
+    }
+  }).join('');
+}
+
+/**
+ * Placeholder cards shown while codes load
+ */
+function renderCodeSkeletons(count) {
+  return '<div class="code-card-horizontal skeleton" style="min-width: 280px; height: 140px;"></div>'.repeat(count);
+}
+
+/**
+ * Prediction codes (foresport) use a different card layout
+ */
+function isPredictionCode(code) {
+  return code.platform?.toLowerCase() === 'foresport';
+}
+
+/**
+ * Create regular code card (CodeTypeLayout)
+ */
+function createCodeCard(code) {
+  const formattedTime = formatTimeAgo(code.createdAt);
+  const roundedOdds = Math.round(code.odds * 10) / 10;
+  const roundedRating = Math.round(code.rating * 10) / 10;
+  const codeId = getCodeId(code);
+  const escapedId = codeId ? securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'") : '';
+  
+  return `
+    <div class="code-card-mobile${codeId ? ' code-card-link' : ''}${isCodeExpired(code) ? ' code-card-expired' : ''}"${codeId ? ` data-code-id="${securityManager.sanitizeHTML(codeId)}" onclick="openCodeDetail('${escapedId}')"` : ''}>
+      ${code.accuracy && code.isExpensive ? `
+        <div class="code-accuracy ${code.accuracy >= 70 ? 'high' : 'medium'}">
+          Source accuracy: ${code.accuracy}%
+        </div>
+      ` : ''}
+      
+      <div class="code-main-content">
+        <div class="code-left">
+          <div class="code-platform-row">
+            <span class="code-platform">${getPlatformText(code.platform)}</span>
+            <span class="code-country-flag">${getCountryFlag(code.country)}</span>
+          </div>
+          
+          <div class="code-text-value">${securityManager.sanitizeHTML(code.text)}</div>
+          
+          <div class="code-actions">
+            <button class="code-action-btn" onclick="event.stopPropagation(); copyCode('${securityManager.sanitizeHTML(code.text).replace(/'/g, "\\'")}', { codeId: '${escapedId}' })">
+              <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
+                <path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2z"/>
+                <path d="M2 6a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2v-1H6a3 3 0 0 1-3-3V6z"/>
+              </svg>
+            </button>
+            
+            <button class="code-action-btn" onclick="event.stopPropagation(); shareCode('${securityManager.sanitizeHTML(code.text).replace(/'/g, "\\'")}', '${code.platform}', '${code.country}', '${escapedId}')">
+              <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
+                <path d="M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3zM11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.499 2.499 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5z"/>
+              </svg>
+            </button>
+            
+            ${codeId ? renderSaveButton(codeId) : ''}
+            ${codeId ? renderTrackButton(codeId) : ''}
+          </div>
+          
+          ${codeId ? renderBookmakerButton(code, codeId) : ''}
+        </div>
+        
+        <div class="code-right">
+          <div class="code-odds">${roundedOdds} odds</div>
+          
+          <div class="code-rating">
+            <span class="rating-star">⭐</span>
+            <span class="rating-value" data-rating-value>${roundedRating}</span>
+          </div>
+          
+          ${renderCountdown(code)}
+          <div class="code-time">${formattedTime}</div>
+        </div>
+      </div>
+      
+      ${codeId ? renderRatingControl(codeId) : ''}
+    </div>
+  `;
+}
+
+/**
+ * Create prediction card (PredictionTypeLayout)
+ */
+function createPredictionCard(code) {
+  const formattedTime = formatTimeAgo(code.createdAt);
+  const roundedOdds = Math.round(code.odds * 10) / 10;
+  const roundedRating = Math.round(code.rating * 10) / 10;
+  const formattedCode = code.team1 && code.team2 
+    ? `${code.team1} vs ${code.team2} * ${code.text}`
+    : code.text;
+  const codeId = getCodeId(code);
+  const escapedId = codeId ? securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'") : '';
+  
+  return `
+    <div class="code-card-mobile prediction-type${codeId ? ' code-card-link' : ''}${isCodeExpired(code) ? ' code-card-expired' : ''}"${codeId ? ` data-code-id="${securityManager.sanitizeHTML(codeId)}" onclick="openCodeDetail('${escapedId}')"` : ''}>
+      <div class="prediction-header">
+        <div class="prediction-rating">
+          <span class="rating-star">⭐</span>
+          <span class="rating-value" data-rating-value>${roundedRating}</span>
+        </div>
+        ${renderCountdown(code)}
+      </div>
+      
+      ${code.accuracy && code.isExpensive ? `
+        <div class="code-accuracy ${code.accuracy >= 70 ? 'high' : 'medium'}">
+          Source accuracy: ${code.accuracy}%
+        </div>
+      ` : ''}
+      
+      <div class="prediction-box">
+        <div class="prediction-box-item">${securityManager.sanitizeHTML(code.country || '')}</div>
+        <div class="prediction-box-item prediction-text">${securityManager.sanitizeHTML(code.text)}</div>
+        <div class="prediction-box-item">${roundedOdds} odds</div>
+      </div>
+      
+      ${code.team1 && code.team2 ? `
+        <div class="prediction-teams">
+          <div class="team">${securityManager.sanitizeHTML(code.team1)}</div>
+          <div class="team">${securityManager.sanitizeHTML(code.team2)}</div>
+        </div>
+      ` : ''}
+      
+      ${codeId ? renderRatingControl(codeId) : ''}
+      
+      <div class="prediction-footer">
+        <div class="code-actions">
+          <button class="code-action-btn" onclick="event.stopPropagation(); copyCode('${formattedCode.replace(/'/g, "\\'")}', { codeId: '${escapedId}' })">
+            <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
+              <path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2z"/>
+              <path d="M2 6a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2v-1H6a3 3 0 0 1-3-3V6z"/>
+            </svg>
+          </button>
+          
+          <button class="code-action-btn" onclick="event.stopPropagation(); shareCode('${formattedCode.replace(/'/g, "\\'")}', '${code.platform}', '${code.team1} vs ${code.team2}', '${escapedId}')">
+            <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
+              <path d="M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3zM11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.499 2.499 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5z"/>
+            </svg>
+          </button>
+          
+          ${codeId ? renderSaveButton(codeId) : ''}
+          ${codeId ? renderTrackButton(codeId) : ''}
+        </div>
+        
+        <div class="code-time">${formattedTime}</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Expiry (or kick-off for predictions) as a timestamp, or null when unknown
+ */
+function getCodeExpiryTime(code) {
+  if (!code.expirationDate) return null;
+  
+  const time = new Date(code.expirationDate).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a code's expiration has passed
+ */
+function isCodeExpired(code) {
+  const expiresAt = getCodeExpiryTime(code);
+  return expiresAt !== null && expiresAt <= Date.now();
+}
+
+/**
+ * Split codes into live and expired, keeping their order
+ */
+function splitExpiredCodes(codes) {
+  const active = [];
+  const expired = [];
+  
+  codes.forEach(code => {
+    (isCodeExpired(code) ? expired : active).push(code);
+  });
+  
+  return { active, expired };
+}
+
+/**
+ * Countdown label kept up to date by updateCountdowns
+ */
+function renderCountdown(code) {
+  const expiresAt = getCodeExpiryTime(code);
+  if (expiresAt === null) return '';
+  
+  const isPrediction = isPredictionCode(code);
+  const expired = expiresAt <= Date.now();
+  
+  return `
+    <div class="code-countdown${expired ? ' expired' : ''}" data-expires-at="${expiresAt}" data-prediction="${isPrediction}" title="${formatDate(code.expirationDate)}">${formatCountdown(expiresAt, isPrediction)}</div>
+  `;
+}
+
+/**
+ * Time left until a timestamp, e.g. "kicks off in 1h 12m"
+ */
+function formatCountdown(expiresAt, isPrediction) {
+  const remaining = expiresAt - Date.now();
+  if (remaining <= 0) return isPrediction ? 'Kicked off' : 'Expired';
+  
+  const totalMinutes = Math.ceil(remaining / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  
+  let timeLeft = `${minutes}m`;
+  if (days > 0) {
+    timeLeft = `${days}d ${hours}h`;
+  } else if (hours > 0) {
+    timeLeft = `${hours}h ${minutes}m`;
+  }
+  
+  return `${isPrediction ? 'kicks off' : 'expires'} in ${timeLeft}`;
+}
+
+/**
+ * Refresh every countdown on the page and mark cards that have just expired
+ */
+function updateCountdowns() {
+  if (document.hidden) return;
+  
+  const newlyExpired = [];
+  
+  document.querySelectorAll('.code-countdown[data-expires-at]').forEach(el => {
+    const expiresAt = parseInt(el.dataset.expiresAt, 10);
+    el.textContent = formatCountdown(expiresAt, el.dataset.prediction === 'true');
+    
+    if (expiresAt <= Date.now() && !el.classList.contains('expired')) {
+      el.classList.add('expired');
+      const card = el.closest('.code-card-mobile');
+      if (card) {
+        card.classList.add('code-card-expired');
+        if (card.dataset.codeId) newlyExpired.push(card.dataset.codeId);
+      }
+    }
+  });
+  
+  if (newlyExpired.length > 0) {
+    window.dispatchEvent(new CustomEvent('codesExpired', { detail: { codeIds: newlyExpired } }));
+  }
+}
+
+/**
+ * Whether expired codes are listed (on by default)
+ */
+function getShowExpiredCodes() {
+  return localStorage.getItem(SHOW_EXPIRED_KEY) !== 'false';
+}
+
+/**
+ * Wire up a "show expired" checkbox to the saved preference
+ */
+function initShowExpiredToggle(checkbox, onChange) {
+  checkbox.checked = getShowExpiredCodes();
+  
+  checkbox.addEventListener('change', () => {
+    localStorage.setItem(SHOW_EXPIRED_KEY, String(checkbox.checked));
+    onChange(checkbox.checked);
+  });
+}
+
+/**
+ * Fill the collapsible "Expired" group, hiding it when empty or turned off
+ * options.limit caps the cards rendered; options.moreUrl links to the rest when capped
+ */
+function renderExpiredGroup(group, codes, options = {}) {
+  const visible = codes.length > 0 && getShowExpiredCodes();
+  group.classList.toggle('hidden', !visible);
+  if (!visible) return;
+  
+  const { limit = codes.length, moreUrl } = options;
+  const moreLink = codes.length > limit && moreUrl
+    ? `<a href="${moreUrl}" class="codes-expired-more">View all ${codes.length} expired codes</a>`
+    : '';
+  
+  group.querySelector('[data-expired-count]').textContent = codes.length;
+  group.querySelector('[data-expired-list]').innerHTML = renderCodeCards(codes.slice(0, limit)) + moreLink;
+}
+
+/**
+ * Get platform display text
+ */
+function getPlatformText(platform) {
+  if (!platform) return '';
+  
+  return PLATFORM_NAMES[platform.toLowerCase()] || platform;
+}
+
+/**
+ * Copy code to clipboard
+ * Passing the code's id offers a shortcut to the ledger in the notification (cards also have a Track button)
+ */
+function copyCode(code, options = {}) {
+  const { message = 'Code copied to clipboard!', codeId } = options;
+  
+  navigator.clipboard.writeText(code).then(() => {
+    if (codeId && securityManager.isAuthenticated() && renderedCodes.has(codeId)) {
+      showNotification(message, 'success', { label: 'Track bet', onClick: () => openLedgerModal(codeId) });
+    } else {
+      showNotification(message);
+    }
+  }).catch(err => {
+    console.error('Failed to copy:', err);
+    showNotification('Failed to copy code', 'error');
+  });
+}
+
+/**
+ * Share code
+ * Codes on screen open the share sheet with a generated image; other codes with an id
+ * are shared as a link to their detail page instead of the raw text
+ */
+function shareCode(code, platform, context, codeId) {
+  if (codeId && renderedCodes.has(codeId)) {
+    openShareModal(codeId);
+    return;
+  }
+  
+  if (codeId) {
+    const url = getCodeDetailUrl(codeId);
+    const title = context || getPlatformText(platform);
+    
+    if (navigator.share) {
+      navigator.share({
+        title: `Surely - ${title}`,
+        url
+      }).catch(err => console.log('Share failed:', err));
+    } else {
+      copyCode(url, { message: 'Link copied to clipboard!' });
+    }
+    return;
+  }
+  
+  const shareText = context 
+    ? `${context}: ${code}`
+    : `${platform}: ${code}`;
+  
+  if (navigator.share) {
+    navigator.share({
+      text: shareText
+    }).catch(err => console.log('Share failed:', err));
+  } else {
+    // Fallback: copy to clipboard
+    copyCode(shareText);
+  }
+}
+
+/**
+ * Booking-code load URL for a code's platform and country, or null when there is no template
+ */
+function getBookmakerUrl(code) {
+  const links = CONFIG.BOOKMAKER_LINKS[code.platform?.toLowerCase()];
+  if (!links || !code.text) return null;
+  
+  const template = links[code.country] || links.default;
+  return template ? template.replace('{code}', encodeURIComponent(code.text)) : null;
+}
+
+/**
+ * "Open in SportyBet" style button for booking platforms we know
+ */
+function renderBookmakerButton(code, codeId, className = 'code-open-btn') {
+  if (!code.platform || !PLATFORM_NAMES[code.platform.toLowerCase()]) return '';
+  
+  const escapedId = securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'");
+  
+  return `
+    <button type="button" class="${className}" onclick="event.stopPropagation(); openInBookmaker('${escapedId}')">
+      Open in ${getPlatformText(code.platform)}
+    </button>
+  `;
+}
+
+/**
+ * Load the code on the bookmaker's site, or copy it when we can't link straight to it
+ */
+function openInBookmaker(codeId) {
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+  
+  const url = getBookmakerUrl(code);
+  if (url) {
+    window.open(url, '_blank', 'noopener');
+    return;
+  }
+  
+  copyCode(code.text, {
+    codeId,
+    message: `Code copied - paste it into ${getPlatformText(code.platform)}`
+  });
+}
+
+/**
+ * Remember a code so card actions can look it up by id
+ */
+function registerCode(code) {
+  const codeId = getCodeId(code);
+  if (codeId) {
+    renderedCodes.set(codeId, code);
+  }
+}
+
+/**
+ * Bookmark button for saving a code
+ */
+function renderSaveButton(codeId) {
+  const saved = savedCodesService.isSaved(codeId);
+  const escapedId = securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'");
+  
+  return `
+    <button class="code-action-btn code-save-btn${saved ? ' saved' : ''}" data-save-code="${securityManager.sanitizeHTML(codeId)}" onclick="event.stopPropagation(); toggleSavedCode('${escapedId}')" aria-label="Save code" aria-pressed="${saved}">
+      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M19 21l-7-5-7 5V5a2 2 0 012-2h10a2 2 0 012 2z"/>
+      </svg>
+    </button>
+  `;
+}
+
+/**
+ * Save or unsave a code from its card
+ */
+async function toggleSavedCode(codeId) {
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+  
+  if (!securityManager.isAuthenticated()) {
+    showNotification('Login to save codes', 'error');
+    return;
+  }
+  
+  try {
+    const saved = await savedCodesService.toggle(code, codeId);
+    showNotification(saved ? 'Code saved' : 'Code removed from saved');
+  } catch (error) {
+    console.error('Failed to save code:', error);
+    showNotification(error.message || 'Failed to save code', 'error');
+  }
+}
+
+/**
+ * Keep bookmark buttons in sync with the saved list
+ */
+function updateSaveButtons() {
+  document.querySelectorAll('[data-save-code]').forEach(btn => {
+    const saved = savedCodesService.isSaved(btn.dataset.saveCode);
+    btn.classList.toggle('saved', saved);
+    btn.setAttribute('aria-pressed', saved);
+  });
+}
+
+/**
+ * 1-5 star control for rating a code
+ * Shows the user's own rating once they have rated
+ */
+function renderRatingControl(codeId) {
+  const userRating = ratingService.getUserRating(codeId);
+  const escapedId = securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'");
+  
+  const stars = [1, 2, 3, 4, 5].map(value => `
+    <button type="button" class="code-rate-star${userRating && value <= userRating ? ' filled' : ''}" onclick="event.stopPropagation(); rateCode('${escapedId}', ${value})" ${userRating ? 'disabled' : ''} aria-label="Rate ${value} star${value === 1 ? '' : 's'}">★</button>
+  `).join('');
+  
+  return `
+    <div class="code-rate" data-rate-code="${securityManager.sanitizeHTML(codeId)}" onclick="event.stopPropagation()">
+      <span class="code-rate-label">${userRating ? 'Your rating' : 'Rate this code'}</span>
+      <div class="code-rate-stars">${stars}</div>
+    </div>
+  `;
+}
+
+/**
+ * Submit a rating, updating the average on screen straight away
+ */
+async function rateCode(codeId, rating) {
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+  
+  if (!securityManager.isAuthenticated()) {
+    showNotification('Login to rate codes', 'error');
+    return;
+  }
+  
+  const previous = { rating: code.rating, ratingCount: code.ratingCount };
+  
+  try {
+    const result = ratingService.applyOptimistic(code, rating);
+    updateRatingDisplays(codeId, result.rating);
+    
+    const confirmed = await ratingService.submit(codeId, rating);
+    if (confirmed?.queued) {
+      showNotification('You\'re offline - your rating will be sent when you reconnect');
+      return;
+    }
+    
+    if (confirmed) {
+      Object.assign(code, confirmed);
+      updateRatingDisplays(codeId, confirmed.rating);
+    }
+    
+    showNotification('Thanks for rating!');
+    
+  } catch (error) {
+    console.error('Failed to rate code:', error);
+    Object.assign(code, previous);
+    updateRatingDisplays(codeId, previous.rating);
+    showNotification(error.message || 'Failed to submit rating', 'error');
+  }
+}
+
+/**
+ * Undo an optimistic rating on screen
+ */
+function revertRatingDisplay(e) {
+  const { codeId, previous } = e.detail;
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+  
+  if (previous) {
+    Object.assign(code, previous);
+  }
+  updateRatingDisplays(codeId, code.rating);
+}
+
+/**
+ * Refresh every rating shown for a code (average and star control)
+ */
+function updateRatingDisplays(codeId, average) {
+  const rounded = Math.round((average || 0) * 10) / 10;
+  
+  document.querySelectorAll(`[data-code-id="${CSS.escape(codeId)}"] [data-rating-value]`).forEach(el => {
+    el.textContent = rounded;
+  });
+  
+  document.querySelectorAll(`[data-rate-code="${CSS.escape(codeId)}"]`).forEach(el => {
+    el.outerHTML = renderRatingControl(codeId);
+  });
+}
+
+/**
+ * Ledger button for recording a bet placed with a code
+ */
+function renderTrackButton(codeId) {
+  const escapedId = securityManager.sanitizeHTML(codeId).replace(/'/g, "\\'");
+  
+  return `
+    <button class="code-action-btn" onclick="event.stopPropagation(); trackCode('${escapedId}')" aria-label="Track bet" title="Track bet">
+      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M3 3v18h18"/>
+        <path d="M7 14l4-4 4 4 5-5"/>
+      </svg>
+    </button>
+  `;
+}
+
+/**
+ * Track a code in the ledger (mark it won, lost or void)
+ */
+function trackCode(codeId) {
+  if (!securityManager.isAuthenticated()) {
+    showNotification('Login to track your bets', 'error');
+    return;
+  }
+  
+  openLedgerModal(codeId);
+}
+
+/**
+ * Open the "track bet" form for a code
+ */
+function openLedgerModal(codeId) {
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+  
+  closeLedgerModal();
+  
+  const modal = document.createElement('div');
+  modal.className = 'ledger-modal';
+  modal.id = 'ledger-modal';
+  modal.innerHTML = `
+    <div class="ledger-modal-overlay" onclick="closeLedgerModal()"></div>
+    <form class="ledger-modal-content" id="ledger-form">
+      <h3>Track Bet</h3>
+      <p class="ledger-modal-code">
+        ${securityManager.sanitizeHTML(getPlatformText(code.platform))} &middot;
+        ${securityManager.sanitizeHTML(code.text || '')} &middot;
+        ${Math.round(code.odds * 100) / 100} odds
+      </p>
+      
+      <label for="ledger-stake">Stake</label>
+      <input type="number" id="ledger-stake" name="stake" min="0.01" step="0.01" placeholder="e.g. 1000" required>
+      
+      <label for="ledger-outcome">Outcome</label>
+      <select id="ledger-outcome" name="outcome">
+        <option value="pending">Pending</option>
+        <option value="won">Won</option>
+        <option value="lost">Lost</option>
+        <option value="void">Void</option>
+      </select>
+      
+      <span class="ledger-modal-error" id="ledger-error"></span>
+      
+      <div class="ledger-modal-actions">
+        <button type="button" class="btn btn-outline" onclick="closeLedgerModal()">Cancel</button>
+        <button type="submit" class="btn btn-primary">Save</button>
+      </div>
+    </form>
+  `;
+  
+  document.body.appendChild(modal);
+  document.getElementById('ledger-stake').focus();
+  
+  document.getElementById('ledger-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    
+    try {
+      await ledgerService.add(code, form.elements.stake.value, form.elements.outcome.value);
+      closeLedgerModal();
+      showNotification('Bet added to your ledger');
+    } catch (error) {
+      console.error('Failed to save ledger entry:', error);
+      document.getElementById('ledger-error').textContent = error.message || 'Failed to save bet';
+    }
+  });
+}
+
+/**
+ * Close the "track bet" form
+ */
+function closeLedgerModal() {
+  const modal = document.getElementById('ledger-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+/**
+ * Get the id a code is addressed by
+ */
+function getCodeId(code) {
+  const id = code.id || code._id || code.codeId;
+  return id ? String(id) : '';
+}
+
+/**
+ * Absolute URL of a code's detail page
+ * Works from the site root and from pages/
+ */
+function getCodeDetailUrl(codeId) {
+  const pagesPath = window.location.pathname.includes('/pages/') ? './' : './pages/';
+  return new URL(`${pagesPath}code.html?id=${encodeURIComponent(codeId)}`, window.location.href).href;
+}
+
+/**
+ * Open a code's detail page
+ */
+function openCodeDetail(codeId) {
+  window.location.href = getCodeDetailUrl(codeId);
+}
+
+/**
+ * Show notification
+ */
+function showNotification(message, type = 'success', action = null) {
+  const notification = document.createElement('div');
+  notification.className = `code-notification ${type}`;
+  notification.textContent = message;
+  
+  // Optional action button - stays up longer so there's time to use it
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'code-notification-action';
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener('click', () => {
+      notification.remove();
+      action.onClick();
+    });
+    notification.appendChild(actionBtn);
+  }
+  
+  document.body.appendChild(notification);
+  
+  setTimeout(() => {
+    notification.classList.add('show');
+  }, 10);
+  
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => notification.remove(), 300);
+  }, action ? 5000 : 2000);
+}
+
+/**
+ * Format date
+ */
+function formatDate(dateString) {
+  if (!dateString) return '';
+  
+  try {
+    const date = new Date(dateString);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  } catch (e) {
+    return dateString;
+  }
+}
+
+/**
+ * Get provider flag emoji
+ */
+function getProviderFlag(provider) {
+  const flags = {
+    'SportyBet': '🇳🇬',
+    '1XBET': '🇷🇺',
+    'BetKing': '🇳🇬',
+    'Bet9ja': '🇳🇬',
+    'NairaBet': '🇳🇬',
+    'default': '🌍'
+  };
+  
+  return flags[provider] || flags.default;
+}
+
+/**
+ * Get country flag emoji
+ */
+function getCountryFlag(country) {
+  const flags = {
+    'Nigeria': '🇳🇬',
+    'Cameroon': '🇨🇲',
+    'Ghana': '🇬🇭',
+    'Kenya': '🇰🇪',
+    'South Africa': '🇿🇦',
+    'Tanzania': '🇹🇿',
+    'Uganda': '🇺🇬'
+  };
+  
+  return flags[country] || '🌍';
+}
+
+/**
+ * Format timestamp to relative time
+ */
+function formatTimeAgo(timestamp) {
+  if (!timestamp) return 'Recently';
+  
+  const now = new Date();
+  const time = new Date(timestamp);
+  const diffInSeconds = Math.floor((now - time) / 1000);
+  
+  if (diffInSeconds < 60) return 'Just now';
+  if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)} mins ago`;
+  if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)} hours ago`;
+  return `${Math.floor(diffInSeconds / 86400)} days ago`;
+}
+
+/**
+ * Read code filters from the URL query
+ */
+function getCodeFiltersFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const filters = {};
+  
+  CODE_FILTER_KEYS.forEach(key => {
+    filters[key] = params.get(key) || '';
+  });
+  
+  return filters;
+}
+
+/**
+ * Write code filters to the URL query so the view can be shared
+ * Other params and the hash are kept as they are
+ */
+function setCodeFiltersInURL(filters) {
+  const params = new URLSearchParams(window.location.search);
+  
+  CODE_FILTER_KEYS.forEach(key => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    } else {
+      params.delete(key);
+    }
+  });
+  
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
+
+/**
+ * Check whether any filter is active
+ */
+function hasActiveCodeFilters(filters) {
+  return CODE_FILTER_KEYS.some(key => key !== 'sort' && filters[key]);
+}
+
+/**
+ * Apply filters and sort order to a list of codes
+ * Returns a new array
+ */
+function filterCodes(codes, filters) {
+  const search = (filters.q || '').trim().toLowerCase();
+  const minOdds = parseFloat(filters.minOdds);
+  const maxOdds = parseFloat(filters.maxOdds);
+  const minRating = parseFloat(filters.minRating);
+  
+  const filtered = codes.filter(code => {
+    if (filters.platform && code.platform?.toLowerCase() !== filters.platform) return false;
+    if (filters.country && code.country !== filters.country) return false;
+    if (filters.type === 'prediction' && !isPredictionCode(code)) return false;
+    if (filters.type === 'code' && isPredictionCode(code)) return false;
+    if (!isNaN(minOdds) && !(code.odds >= minOdds)) return false;
+    if (!isNaN(maxOdds) && !(code.odds <= maxOdds)) return false;
+    if (!isNaN(minRating) && !(code.rating >= minRating)) return false;
+    
+    if (search) {
+      const haystack = [code.text, code.team1, code.team2, code.country, getPlatformText(code.platform)]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    
+    return true;
+  });
+  
+  return sortCodes(filtered, filters.sort);
+}
+
+/**
+ * Sort codes by newest (default), odds or rating - highest first
+ */
+function sortCodes(codes, sort) {
+  const sorted = [...codes];
+  
+  if (sort === 'odds') {
+    sorted.sort((a, b) => (b.odds || 0) - (a.odds || 0));
+  } else if (sort === 'rating') {
+    sorted.sort((a, b) => (b.rating || 0) - (a.rating || 0));
+  } else {
+    sorted.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  }
+  
+  return sorted;
+}
+
+/**
+ * Wire up a filter form
+ * Fields are matched by name against CODE_FILTER_KEYS; onChange receives the new filters
+ */
+function initCodeFilters(form, onChange) {
+  const platformSelect = form.elements.platform;
+  platformSelect.innerHTML = '<option value="">All platforms</option>' + Object.entries(PLATFORM_NAMES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  
+  const filters = getCodeFiltersFromURL();
+  CODE_FILTER_KEYS.forEach(key => {
+    if (form.elements[key]) {
+      form.elements[key].value = filters[key];
+    }
+  });
+  
+  let searchTimeout = null;
+  const handleChange = () => {
+    const newFilters = readCodeFilters(form);
+    setCodeFiltersInURL(newFilters);
+    onChange(newFilters);
+  };
+  
+  form.addEventListener('change', handleChange);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleChange();
+  });
+  form.elements.q.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(handleChange, 300);
+  });
+  form.addEventListener('reset', () => {
+    // Reset fires before the fields are cleared
+    setTimeout(handleChange, 0);
+  });
+}
+
+/**
+ * Read the current filters from a filter form
+ */
+function readCodeFilters(form) {
+  const filters = {};
+  
+  CODE_FILTER_KEYS.forEach(key => {
+    filters[key] = form.elements[key] ? form.elements[key].value.trim() : '';
+  });
+  
+  return filters;
+}
+
+/**
+ * Fill the country filter from the loaded codes, keeping the current choice
+ */
+function populateCountryFilter(form, codes) {
+  const countrySelect = form.elements.country;
+  const selected = countrySelect.value || getCodeFiltersFromURL().country;
+  const countries = [...new Set(codes.map(code => code.country).filter(Boolean))].sort();
+  
+  if (selected && !countries.includes(selected)) {
+    countries.push(selected);
+  }
+  
+  countrySelect.innerHTML = '<option value="">All countries</option>' + countries
+    .map(country => {
+      const safeCountry = securityManager.sanitizeHTML(country);
+      return `<option value="${safeCountry}">${getCountryFlag(country)} ${safeCountry}</option>`;
+    })
+    .join('');
+  countrySelect.value = selected;
+}
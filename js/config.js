@@ -22,13 +22,53 @@ const CONFIG = {
   // NOTE: Plans and pricing are fetched dynamically from backend based on user country
   // Do NOT hardcode prices or currency symbols
   
+  // Avatar Upload
+  AVATAR_SIZE: 512,                 // Output width/height in px (square)
+  AVATAR_MAX_BYTES: 200 * 1024,     // Compressed upload cap
+  AVATAR_MAX_SOURCE_BYTES: 10 * 1024 * 1024, // Largest file accepted from the picker
+  
+  // Codes Listing
+  CODES_PAGE_SIZE: 20,              // Codes fetched per page on the all-codes page
+  CODES_POLL_INTERVAL: 60000,       // Live feed polling interval when streaming isn't available (1 minute)
+  CODES_STREAM_ENABLED: false,      // Use the ENDPOINTS.CODES.STREAM feed - keep off until the backend serves it
+  CODES_COUNTDOWN_INTERVAL: 30000,  // How often expiry countdowns on cards refresh (30 seconds)
+  
+  // Bookmaker Deep Links
+  // Booking-code load URLs per platform - {code} is replaced with the booking code
+  // Country entries (matching code.country) override the default; platforms without a URL fall back to copying
+  BOOKMAKER_LINKS: {
+    sportybet: {
+      default: 'https://www.sportybet.com/ng/?shareCode={code}',
+      Ghana: 'https://www.sportybet.com/gh/?shareCode={code}',
+      Kenya: 'https://www.sportybet.com/ke/?shareCode={code}',
+      Tanzania: 'https://www.sportybet.com/tz/?shareCode={code}',
+      Uganda: 'https://www.sportybet.com/ug/?shareCode={code}'
+    },
+    bet9ja: {
+      default: 'https://sports.bet9ja.com/?bookABet={code}'
+    },
+    betking: {
+      default: 'https://www.betking.com/sports/s/booking-code/{code}'
+    }
+  },
+  
+  // API Response Cache (opt-in per request)
+  API_CACHE_DEFAULT_TTL: 60000,     // Fresh for 1 minute unless listed below
+  API_CACHE_MAX_STALE: 86400000,    // Stale responses are still shown (while refreshing) for up to 1 day
+  API_CACHE_TTL: {
+    '/payments/pricing': 3600000,   // 1 hour
+    '/payments/me': 60000,          // 1 minute
+    '/codes': 30000,                // 30 seconds
+    '/user/me': 300000              // 5 minutes
+  },
+  
   // Country Detection
   DEFAULT_COUNTRY: 'NG', // Default to Nigeria if detection fails
   
   // Route Configuration
   ROUTES: {
     PUBLIC: ['/', '/login', '/register', '/home'],
-    PROTECTED: ['/profile', '/subscription', '/dashboard']
+    PROTECTED: ['/profile', '/subscription', '/dashboard', '/bet-builder']
   },
   
   // API Endpoints
@@ -47,7 +87,8 @@ const CONFIG = {
       DELETE: '/user/delete',             // Delete account (requires userId appended)
       GET_DETAILS: '/user/get',           // Get user details by email/username
       EXISTS: '/user/exists',             // Check if email/username exists
-      VERIFY_PASSWORD: '/user/verify/password' // Verify password (requires userId appended)
+      VERIFY_PASSWORD: '/user/verify/password', // Verify password (requires userId appended)
+      AVATAR: '/user/avatar'              // POST upload / DELETE remove (requires userId appended)
     },
     // PAYMENT ENDPOINTS - Following backend contract exactly
     PAYMENTS: {
@@ -68,7 +109,9 @@ const CONFIG = {
     CODES: {
       FREE: '/codes',                     // Get all codes (same as mobile)
       PREMIUM: '/codes/premium',
-      BY_ID: '/codes'                     // Get code by ID (append /{id})
+      BY_ID: '/codes',                    // Get code by ID (append /{id})
+      RATE: '/codes',                     // Rate a code (append /{id}/rate)
+      STREAM: '/codes/stream'             // Server-Sent Events feed of new codes (not live yet - see CODES_STREAM_ENABLED)
     },
     DEVICE: {
       REGISTER: '/device/register',
@@ -83,7 +126,7 @@ const CONFIG = {
       TRACK: '/analytics/track'
     },
     BET_BUILDER: {
-      GENERATE: '/bet-builder'            // Append /{matchId}/generate
+      GENERATE: '/bet-builder'            // Append /{matchId}/generate - matchId is the fixture id /codes sends on predictions (matchId / match_id)
     }
   }
 };
@@ -0,0 +1,326 @@
+/**
+ * Forgot Password Page JavaScript
+ * Email -> OTP code -> new password, then logs the user in
+ */
+
+const emailForm = document.getElementById('email-form');
+const codeForm = document.getElementById('code-form');
+const passwordForm = document.getElementById('password-form');
+
+const NEUTRAL_SENT_MESSAGE = "If an account exists for that email, we've sent a 6-digit reset code to it.";
+
+let resetEmail = null;
+let resetSession = null;
+let countdownInterval = null;
+
+// Page load
+document.addEventListener('DOMContentLoaded', () => {
+  emailForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await handleEmailSubmit();
+  });
+
+  codeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await handleCodeSubmit(getOTPValue('otp-inputs'));
+  });
+
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await handlePasswordSubmit();
+  });
+
+  document.getElementById('resend-btn').addEventListener('click', () => sendResetCode(true));
+  document.getElementById('change-email-btn').addEventListener('click', () => showStep('email'));
+
+  initOTPInputs('otp-inputs', handleCodeSubmit);
+  document.getElementById('email').focus();
+});
+
+/**
+ * Show one step of the flow
+ */
+function showStep(step) {
+  clearErrors();
+  clearAlerts();
+
+  emailForm.classList.toggle('hidden', step !== 'email');
+  codeForm.classList.toggle('hidden', step !== 'code');
+  passwordForm.classList.toggle('hidden', step !== 'password');
+
+  const title = document.getElementById('reset-title');
+  const subtitle = document.getElementById('reset-subtitle');
+
+  if (step === 'email') {
+    title.textContent = 'FORGOT PASSWORD';
+    subtitle.textContent = "Enter the email linked to your account and we'll send you a reset code";
+    document.getElementById('email').focus();
+  } else if (step === 'code') {
+    title.textContent = 'ENTER CODE';
+    subtitle.textContent = `Enter the 6-digit code sent to ${resetEmail}`;
+    clearOTPInputs('otp-inputs');
+  } else {
+    title.textContent = 'NEW PASSWORD';
+    subtitle.textContent = 'Choose a new password for your account';
+    document.getElementById('newPassword').focus();
+  }
+}
+
+/**
+ * Step 1: Check the email and send a code
+ */
+async function handleEmailSubmit() {
+  clearErrors();
+  clearAlerts();
+
+  const email = document.getElementById('email').value.trim();
+
+  if (!email) {
+    showFieldError('email', 'Email is required');
+    return;
+  }
+
+  if (!securityManager.validateEmail(email)) {
+    showFieldError('email', 'Invalid email format');
+    return;
+  }
+
+  resetEmail = email;
+  setLoadingState('email-btn', 'email-btn-text', 'email-btn-loading', true);
+
+  await sendResetCode(false);
+
+  setLoadingState('email-btn', 'email-btn-text', 'email-btn-loading', false);
+  showStep('code');
+  showAlert(NEUTRAL_SENT_MESSAGE, 'info');
+  startResendCountdown();
+  updateAttemptsText();
+}
+
+/**
+ * Send the reset code
+ * The outcome is never revealed, so the page can't be used to discover registered emails
+ */
+async function sendResetCode(isResend) {
+  try {
+    const exists = await authService.accountExists(resetEmail);
+    if (exists && otpService.getResendRemaining(resetEmail) === 0) {
+      await otpService.sendOTP(resetEmail, 'email', 'password_reset');
+    }
+  } catch (error) {
+    console.error('Failed to send reset code:', error);
+  }
+
+  if (isResend) {
+    clearOTPInputs('otp-inputs');
+    showAlert(NEUTRAL_SENT_MESSAGE, 'info');
+    startResendCountdown();
+    updateAttemptsText();
+  }
+}
+
+/**
+ * Step 2: Verify the code
+ */
+async function handleCodeSubmit(code) {
+  const codeBtn = document.getElementById('code-btn');
+  if (codeBtn.disabled) return;
+
+  clearErrors();
+  clearAlerts();
+
+  if (code.length !== otpService.codeLength) {
+    showFieldError('otp', `Enter the ${otpService.codeLength}-digit code`);
+    return;
+  }
+
+  setLoadingState('code-btn', 'code-btn-text', 'code-btn-loading', true);
+
+  try {
+    const response = await otpService.verifyOTP(resetEmail, code, 'email');
+    resetSession = response.data;
+
+    setLoadingState('code-btn', 'code-btn-text', 'code-btn-loading', false);
+    showStep('password');
+
+  } catch (error) {
+    console.error('Reset code verification error:', error);
+
+    if (otpService.getAttemptsRemaining(resetEmail) === 0) {
+      showFieldError('otp', 'Too many incorrect attempts. Please request a new code.');
+    } else {
+      showFieldError('otp', 'Invalid or expired code. Please try again.');
+    }
+
+    clearOTPInputs('otp-inputs');
+    setLoadingState('code-btn', 'code-btn-text', 'code-btn-loading', false);
+    updateAttemptsText();
+  }
+}
+
+/**
+ * Step 3: Set the new password and log in
+ */
+async function handlePasswordSubmit() {
+  clearErrors();
+  clearAlerts();
+
+  const newPassword = document.getElementById('newPassword').value;
+  const confirmPassword = document.getElementById('confirmPassword').value;
+  const rememberMe = document.getElementById('remember-me').checked;
+
+  let valid = true;
+
+  const passwordValidation = securityManager.validatePassword(newPassword);
+  if (!passwordValidation.valid) {
+    const errors = [];
+    if (!passwordValidation.minLength) errors.push('at least 8 characters');
+    if (!passwordValidation.hasUpper) errors.push('one uppercase letter');
+    if (!passwordValidation.hasLower) errors.push('one lowercase letter');
+    if (!passwordValidation.hasNumber) errors.push('one number');
+    showFieldError('newPassword', `Password must contain: ${errors.join(', ')}`);
+    valid = false;
+  }
+
+  if (newPassword !== confirmPassword) {
+    showFieldError('confirmPassword', 'Passwords do not match');
+    valid = false;
+  }
+
+  if (!valid) return;
+
+  setLoadingState('password-btn', 'password-btn-text', 'password-btn-loading', true);
+
+  try {
+    await authService.resetPassword(resetSession, newPassword, rememberMe);
+
+    showAlert('Password reset successfully! Redirecting...', 'success');
+
+    setTimeout(() => {
+      window.location.href = routerService.getRedirectPath();
+    }, 1000);
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+
+    if (error.message && error.message.includes('Reset session expired')) {
+      showAlert(error.message, 'error');
+      setTimeout(() => showStep('email'), 2000);
+    } else {
+      showAlert(error.message || 'Failed to reset password. Please try again.', 'error');
+    }
+
+    setLoadingState('password-btn', 'password-btn-text', 'password-btn-loading', false);
+  }
+}
+
+/**
+ * Show resend countdown and enable the resend button when it reaches zero
+ */
+function startResendCountdown() {
+  const countdownEl = document.getElementById('resend-countdown');
+  const resendBtn = document.getElementById('resend-btn');
+
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
+  }
+
+  // Unregistered emails never record a send, so fall back to the full cooldown
+  const startedAt = Date.now();
+  const remainingFor = () => {
+    const fromService = otpService.getResendRemaining(resetEmail);
+    const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+    return Math.max(fromService, otpService.resendCooldown - elapsed);
+  };
+
+  const tick = () => {
+    const remaining = remainingFor();
+    if (remaining > 0) {
+      countdownEl.textContent = `Resend code in ${remaining}s`;
+      resendBtn.classList.add('hidden');
+    } else {
+      countdownEl.textContent = "Didn't get a code?";
+      resendBtn.classList.remove('hidden');
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+  };
+
+  tick();
+  countdownInterval = setInterval(tick, 1000);
+}
+
+/**
+ * Update remaining attempts hint
+ */
+function updateAttemptsText() {
+  const attemptsEl = document.getElementById('otp-attempts');
+  const attemptsLeft = otpService.getAttemptsRemaining(resetEmail);
+
+  if (attemptsLeft < otpService.maxAttempts) {
+    attemptsEl.textContent = `${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} remaining`;
+  } else {
+    attemptsEl.textContent = '';
+  }
+
+  document.getElementById('code-btn').disabled = attemptsLeft === 0;
+  setOTPInputsDisabled('otp-inputs', attemptsLeft === 0);
+}
+
+/**
+ * Toggle password field visibility
+ */
+function togglePasswordField(fieldId) {
+  const field = document.getElementById(fieldId);
+  const type = field.getAttribute('type') === 'password' ? 'text' : 'password';
+  field.setAttribute('type', type);
+}
+
+/**
+ * Show error message under a form field
+ */
+function showFieldError(fieldId, message) {
+  const errorEl = document.getElementById(`${fieldId}-error`);
+  if (errorEl) {
+    errorEl.textContent = message;
+  }
+}
+
+/**
+ * Show alert message
+ */
+function showAlert(message, type = 'info') {
+  const container = document.getElementById('alert-container');
+  container.innerHTML = `
+    <div class="alert alert-${type}">
+      ${securityManager.sanitizeHTML(message)}
+    </div>
+  `;
+}
+
+/**
+ * Clear alert messages
+ */
+function clearAlerts() {
+  document.getElementById('alert-container').innerHTML = '';
+}
+
+/**
+ * Clear form errors
+ */
+function clearErrors() {
+  document.querySelectorAll('.form-error').forEach(el => el.textContent = '');
+}
+
+/**
+ * Set loading state for buttons
+ */
+function setLoadingState(btnId, textId, loadingId, loading) {
+  const btn = document.getElementById(btnId);
+  const text = document.getElementById(textId);
+  const loadingEl = document.getElementById(loadingId);
+
+  btn.disabled = loading;
+  text.classList.toggle('hidden', loading);
+  loadingEl.classList.toggle('hidden', !loading);
+}
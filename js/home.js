@@ -1,16 +1,34 @@
 /**
  * Home Page JavaScript - Mobile Optimized
- * Handles mobile menu, free codes display, working carousel, and dynamic subscription plans
+ * Handles mobile menu, free and premium codes display, code filters, expired codes group, live codes feed, working carousel, and dynamic subscription plans
  */
 
+// Most codes shown in each list on the home page - codes.html has the rest
+const HOME_CODES_LIMIT = 10;
+
+// Free codes from the last load, filtered client-side
+let allCodes = [];
+
+// Codes that arrived from the live feed but haven't been shown yet
+let pendingCodes = [];
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
   initMobileMenu();
-  loadCodes();
+  initCodeFilters(document.getElementById('codes-filter-form'), () => displayCodes(allCodes));
+  initShowExpiredToggle(document.getElementById('show-expired-toggle'), () => displayCodes(allCodes));
+  loadCodes().then(() => codesFeedService.start(handleIncomingCodes));
+  loadPremiumCodes();
   initTestimonialCarousel();
   loadSubscriptionPlans();
   setupSmoothScrolling();
   updateAuthUI();
+  
+  // Keep the user menu avatar in sync with profile changes
+  window.addEventListener('profileUpdated', renderUserMenuAvatars);
+  
+  // Move codes into the expired group as their countdowns run out
+  window.addEventListener('codesExpired', () => displayCodes(allCodes));
 });
 
 /**
@@ -98,6 +116,10 @@ function updateAuthUI() {
     }
   }
   
+  if (isAuthenticated) {
+    renderUserMenuAvatars();
+  }
+  
   // Update all CTA buttons
   const ctaButtons = [
     'cta-main-btn',
@@ -119,28 +141,60 @@ function updateAuthUI() {
   });
 }
 
+/**
+ * Render the user's photo (or initials) in every user menu
+ */
+function renderUserMenuAvatars() {
+  const user = authService.getCurrentUser();
+  if (!user) {
+    // Not cached yet - render once the profile has loaded
+    authService.loadCurrentUser().then(loaded => {
+      if (loaded) renderUserMenuAvatars();
+    });
+    return;
+  }
+  
+  const avatarUrl = authService.getAvatarUrl(user);
+  const initials = authService.getInitials(user);
+  
+  document.querySelectorAll('[data-user-avatar]').forEach(el => {
+    if (avatarUrl) {
+      // Set src as a property - the URL never passes through HTML
+      const img = document.createElement('img');
+      img.src = avatarUrl;
+      img.alt = '';
+      img.onerror = () => {
+        el.textContent = initials;
+      };
+      el.replaceChildren(img);
+    } else {
+      el.textContent = initials;
+    }
+  });
+}
+
 /**
  * Load free betting codes
+ * Cached codes render straight away and are replaced once the refreshed list arrives; refresh skips the cache
  */
-async function loadCodes() {
+async function loadCodes(refresh = false) {
   const container = document.getElementById('codes-container');
   
   try {
     // Show loading state
-    container.innerHTML = `
-      <div class="code-card-horizontal skeleton" style="min-width: 280px; height: 140px;"></div>
-      <div class="code-card-horizontal skeleton" style="min-width: 280px; height: 140px;"></div>
-      <div class="code-card-horizontal skeleton" style="min-width: 280px; height: 140px;"></div>
-    `;
+    container.innerHTML = renderCodeSkeletons(3);
+    
+    if (refresh) {
+      apiService.invalidateCache(CONFIG.ENDPOINTS.CODES.FREE);
+    }
     
     // Fetch codes from API
-    const response = await apiService.get(CONFIG.ENDPOINTS.CODES.FREE, false);
+    const response = await apiService.get(CONFIG.ENDPOINTS.CODES.FREE, false, {
+      cache: true,
+      onUpdate: showFreeCodes
+    });
     
-    if (response.success && response.data && response.data.length > 0) {
-      displayCodes(response.data);
-    } else {
-      showNoCodes();
-    }
+    showFreeCodes(response);
     
   } catch (error) {
     console.error('Failed to load codes:', error);
@@ -149,227 +203,197 @@ async function loadCodes() {
 }
 
 /**
- * Display codes in the UI - Matching mobile implementation
+ * Show a free codes response
  */
-function displayCodes(codes) {
-  const container = document.getElementById('codes-container');
-  
-  container.innerHTML = codes.slice(0, 10).map(code => {
-    // Check if it's a prediction type (foresport) or regular code type
-    const isPrediction = code.platform?.toLowerCase() === 'foresport';
-    
-    if (isPrediction) {
-      return createPredictionCard(code);
-    } else {
-      return createCodeCard(code);
-    }
-  }).join('');
+function showFreeCodes(response) {
+  pendingCodes = [];
+  updateNewCodesPill();
+  
+  if (response.success && response.data && response.data.length > 0) {
+    allCodes = response.data;
+    populateCountryFilter(document.getElementById('codes-filter-form'), allCodes);
+    displayCodes(allCodes);
+  } else {
+    allCodes = [];
+    showNoCodes();
+  }
 }
 
 /**
- * Create regular code card (CodeTypeLayout)
+ * Display codes in the UI - Matching mobile implementation
+ * Applies the active filters and sort before taking the first 10 live codes
+ * Expired codes go to their own collapsible group
  */
-function createCodeCard(code) {
-  const formattedTime = formatTimeAgo(code.createdAt);
-  const roundedOdds = Math.round(code.odds * 10) / 10;
-  const roundedRating = Math.round(code.rating * 10) / 10;
-  
-  return `
-    <div class="code-card-mobile">
-      ${code.accuracy && code.isExpensive ? `
-        <div class="code-accuracy ${code.accuracy >= 70 ? 'high' : 'medium'}">
-          Source accuracy: ${code.accuracy}%
-        </div>
-      ` : ''}
-      
-      <div class="code-main-content">
-        <div class="code-left">
-          <div class="code-platform-row">
-            <span class="code-platform">${getPlatformText(code.platform)}</span>
-            <span class="code-country-flag">${getCountryFlag(code.country)}</span>
-          </div>
-          
-          <div class="code-text-value">${securityManager.sanitizeHTML(code.text)}</div>
-          
-          <div class="code-actions">
-            <button class="code-action-btn" onclick="copyCode('${securityManager.sanitizeHTML(code.text).replace(/'/g, "\\'")}')">
-              <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
-                <path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2z"/>
-                <path d="M2 6a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2v-1H6a3 3 0 0 1-3-3V6z"/>
-              </svg>
-            </button>
-            
-            <button class="code-action-btn" onclick="shareCode('${securityManager.sanitizeHTML(code.text).replace(/'/g, "\\'")}', '${code.platform}', '${code.country}')">
-              <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
-                <path d="M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3zM11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.499 2.499 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5z"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        
-        <div class="code-right">
-          <div class="code-odds">${roundedOdds} odds</div>
-          
-          <div class="code-rating">
-            <span class="rating-star">⭐</span>
-            <span class="rating-value">${roundedRating}</span>
-          </div>
-          
-          <div class="code-time">${formattedTime}</div>
-        </div>
+function displayCodes(codes) {
+  // Nothing loaded yet - loadCodes shows its own empty and error states
+  if (codes.length === 0) return;
+  
+  const container = document.getElementById('codes-container');
+  const summary = document.getElementById('codes-filter-summary');
+  const filters = readCodeFilters(document.getElementById('codes-filter-form'));
+  const filtered = filterCodes(codes, filters);
+  const { active, expired } = splitExpiredCodes(filtered);
+  
+  renderExpiredGroup(document.getElementById('expired-codes-group'), expired, {
+    limit: HOME_CODES_LIMIT,
+    moreUrl: './pages/codes.html'
+  });
+  
+  summary.textContent = hasActiveCodeFilters(filters)
+    ? `${filtered.length} of ${codes.length} codes match your filters`
+    : '';
+  
+  if (filtered.length === 0) {
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>No Matching Codes</h3>
+        <p>No codes match your filters. Try widening your search.</p>
+        <button class="btn btn-primary" onclick="document.getElementById('codes-filter-form').reset()">Clear Filters</button>
       </div>
-    </div>
-  `;
+    `;
+    return;
+  }
+  
+  if (active.length === 0) {
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>No Live Codes</h3>
+        <p>All of these codes have expired. New codes are added regularly - check back soon!</p>
+      </div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = renderCodeCards(active.slice(0, HOME_CODES_LIMIT));
 }
 
 /**
- * Create prediction card (PredictionTypeLayout)
+ * Queue codes from the live feed that aren't on screen yet
  */
-function createPredictionCard(code) {
-  const formattedTime = formatTimeAgo(code.createdAt);
-  const formattedDate = formatDate(code.expirationDate);
-  const roundedOdds = Math.round(code.odds * 10) / 10;
-  const roundedRating = Math.round(code.rating * 10) / 10;
-  const formattedCode = code.team1 && code.team2 
-    ? `${code.team1} vs ${code.team2} * ${code.text}`
-    : code.text;
-  
-  return `
-    <div class="code-card-mobile prediction-type">
-      <div class="prediction-header">
-        <div class="prediction-rating">
-          <span class="rating-star">⭐</span>
-          <span class="rating-value">${roundedRating}</span>
-        </div>
-        ${code.expirationDate ? `<div class="prediction-date">${formattedDate}</div>` : ''}
-      </div>
-      
-      ${code.accuracy && code.isExpensive ? `
-        <div class="code-accuracy ${code.accuracy >= 70 ? 'high' : 'medium'}">
-          Source accuracy: ${code.accuracy}%
-        </div>
-      ` : ''}
-      
-      <div class="prediction-box">
-        <div class="prediction-box-item">${securityManager.sanitizeHTML(code.country || '')}</div>
-        <div class="prediction-box-item prediction-text">${securityManager.sanitizeHTML(code.text)}</div>
-        <div class="prediction-box-item">${roundedOdds} odds</div>
-      </div>
-      
-      ${code.team1 && code.team2 ? `
-        <div class="prediction-teams">
-          <div class="team">${securityManager.sanitizeHTML(code.team1)}</div>
-          <div class="team">${securityManager.sanitizeHTML(code.team2)}</div>
-        </div>
-      ` : ''}
-      
-      <div class="prediction-footer">
-        <div class="code-actions">
-          <button class="code-action-btn" onclick="copyCode('${formattedCode.replace(/'/g, "\\'")}')">
-            <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
-              <path d="M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V2z"/>
-              <path d="M2 6a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2v-1H6a3 3 0 0 1-3-3V6z"/>
-            </svg>
-          </button>
-          
-          <button class="code-action-btn" onclick="shareCode('${formattedCode.replace(/'/g, "\\'")}', '${code.platform}', '${code.team1} vs ${code.team2}')">
-            <svg width="18" height="18" viewBox="0 0 16 16" fill="currentColor">
-              <path d="M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3zM11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.499 2.499 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5z"/>
-            </svg>
-          </button>
-        </div>
-        
-        <div class="code-time">${formattedTime}</div>
-      </div>
-    </div>
-  `;
+function handleIncomingCodes(codes) {
+  const knownIds = new Set([...allCodes, ...pendingCodes].map(getCodeId));
+  const freshCodes = codes.filter(code => {
+    const codeId = getCodeId(code);
+    return codeId && !knownIds.has(codeId);
+  });
+  
+  if (freshCodes.length === 0) return;
+  
+  pendingCodes = [...freshCodes, ...pendingCodes];
+  updateNewCodesPill();
 }
 
 /**
- * Get platform display text
+ * Show or hide the "new codes" pill
  */
-function getPlatformText(platform) {
-  if (!platform) return '';
-  
-  const platformMap = {
-    '1xbet': '1XBET',
-    'sportybet': 'SportyBet',
-    'bet9ja': 'Bet9ja',
-    'betking': 'BetKing',
-    'betway': 'Betway',
-    'livescorebet': 'LivescoreBet',
-    'megapari': 'Megapari',
-    'betfigo': 'BetFigo',
-    'ng234bet': 'NG234Bet'
-  };
+function updateNewCodesPill() {
+  const pill = document.getElementById('new-codes-pill');
+  const count = pendingCodes.length;
   
-  return platformMap[platform.toLowerCase()] || platform;
+  pill.textContent = `${count} new code${count === 1 ? '' : 's'}`;
+  pill.classList.toggle('hidden', count === 0);
 }
 
 /**
- * Copy code to clipboard
+ * Merge queued codes into the list and animate them in
  */
-function copyCode(code) {
-  navigator.clipboard.writeText(code).then(() => {
-    showNotification('Code copied to clipboard!');
-  }).catch(err => {
-    console.error('Failed to copy:', err);
-    showNotification('Failed to copy code', 'error');
+function showPendingCodes() {
+  if (pendingCodes.length === 0) return;
+  
+  const container = document.getElementById('codes-container');
+  const newIds = pendingCodes.map(getCodeId);
+  
+  allCodes = [...pendingCodes, ...allCodes];
+  pendingCodes = [];
+  updateNewCodesPill();
+  
+  populateCountryFilter(document.getElementById('codes-filter-form'), allCodes);
+  displayCodes(allCodes);
+  
+  newIds.forEach(codeId => {
+    const card = container.querySelector(`[data-code-id="${CSS.escape(codeId)}"]`);
+    if (card) {
+      card.classList.add('code-card-new');
+    }
   });
+  
+  container.scrollTo({ left: 0, behavior: 'smooth' });
 }
 
 /**
- * Share code
+ * Load premium codes for subscribers, locked teasers for everyone else
  */
-function shareCode(code, platform, context) {
-  const shareText = context 
-    ? `${context}: ${code}`
-    : `${platform}: ${code}`;
-  
-  if (navigator.share) {
-    navigator.share({
-      text: shareText
-    }).catch(err => console.log('Share failed:', err));
-  } else {
-    // Fallback: copy to clipboard
-    copyCode(shareText);
+async function loadPremiumCodes() {
+  const container = document.getElementById('premium-codes-container');
+  const refreshBtn = document.getElementById('premium-refresh-btn');
+  if (!container) return;
+  
+  const isSubscriber = await checkSubscriptionActive();
+  refreshBtn.classList.toggle('hidden', !isSubscriber);
+  
+  if (!isSubscriber) {
+    showPremiumTeasers();
+    return;
+  }
+  
+  try {
+    container.innerHTML = renderCodeSkeletons(3);
+    
+    const response = await apiService.get(CONFIG.ENDPOINTS.CODES.PREMIUM);
+    
+    if (response.success && response.data && response.data.length > 0) {
+      container.innerHTML = renderCodeCards(response.data.slice(0, HOME_CODES_LIMIT));
+    } else {
+      container.innerHTML = `
+        <div class="no-codes-message">
+          <h3>No Premium Codes Yet</h3>
+          <p>Our analysts are working on today's premium codes. Check back soon!</p>
+        </div>
+      `;
+    }
+    
+  } catch (error) {
+    console.error('Failed to load premium codes:', error);
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>Unable to Load Premium Codes</h3>
+        <p>There was an error loading premium codes. Please try again.</p>
+        <button class="btn btn-primary" onclick="loadPremiumCodes()">Retry</button>
+      </div>
+    `;
   }
 }
 
 /**
- * Show notification
- */
-function showNotification(message, type = 'success') {
-  const notification = document.createElement('div');
-  notification.className = `code-notification ${type}`;
-  notification.textContent = message;
-  document.body.appendChild(notification);
-  
-  setTimeout(() => {
-    notification.classList.add('show');
-  }, 10);
-  
-  setTimeout(() => {
-    notification.classList.remove('show');
-    setTimeout(() => notification.remove(), 300);
-  }, 2000);
-}
-
-/**
- * Format date
+ * Show blurred placeholder cards with an upgrade CTA
+ * The teaser data is fake - real premium codes are never sent to free users
  */
-function formatDate(dateString) {
-  if (!dateString) return '';
+function showPremiumTeasers() {
+  const container = document.getElementById('premium-codes-container');
+  const teaserCodes = [
+    { platform: 'sportybet', country: 'Nigeria', text: 'XXXXXXXX', odds: 24.5, rating: 4.8 },
+    { platform: 'foresport', country: 'England', text: 'Over 2.5', odds: 1.9, rating: 4.6, team1: 'Home FC', team2: 'Away FC' },
+    { platform: 'bet9ja', country: 'Nigeria', text: 'XXXXXXXX', odds: 15.2, rating: 4.7 },
+    { platform: '1xbet', country: 'Ghana', text: 'XXXXXXXX', odds: 31.0, rating: 4.9 }
+  ];
+  // Logged-out users are sent through login and returned here with the plan kept
+  const upgradeUrl = './pages/subscription.html?plan=monthly';
   
-  try {
-    const date = new Date(dateString);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  } catch (e) {
-    return dateString;
-  }
+  container.innerHTML = teaserCodes.map(code => `
+    <div class="premium-locked">
+      <div class="premium-locked-card" aria-hidden="true">
+        ${renderCodeCards([code])}
+      </div>
+      <div class="premium-locked-overlay">
+        <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+          <path d="M7 11V7a5 5 0 0110 0v4"/>
+        </svg>
+        <span>Premium code</span>
+        <a href="${upgradeUrl}" class="btn btn-primary btn-sm">Upgrade to Unlock</a>
+      </div>
+    </div>
+  `).join('');
 }
 
 /**
@@ -400,55 +424,6 @@ function showError() {
   `;
 }
 
-/**
- * Get provider flag emoji
- */
-function getProviderFlag(provider) {
-  const flags = {
-    'SportyBet': '🇳🇬',
-    '1XBET': '🇷🇺',
-    'BetKing': '🇳🇬',
-    'Bet9ja': '🇳🇬',
-    'NairaBet': '🇳🇬',
-    'default': '🌍'
-  };
-  
-  return flags[provider] || flags.default;
-}
-
-/**
- * Get country flag emoji
- */
-function getCountryFlag(country) {
-  const flags = {
-    'Nigeria': '🇳🇬',
-    'Cameroon': '🇨🇲',
-    'Ghana': '🇬🇭',
-    'Kenya': '🇰🇪',
-    'South Africa': '🇿🇦',
-    'Tanzania': '🇹🇿',
-    'Uganda': '🇺🇬'
-  };
-  
-  return flags[country] || '🌍';
-}
-
-/**
- * Format timestamp to relative time
- */
-function formatTimeAgo(timestamp) {
-  if (!timestamp) return 'Recently';
-  
-  const now = new Date();
-  const time = new Date(timestamp);
-  const diffInSeconds = Math.floor((now - time) / 1000);
-  
-  if (diffInSeconds < 60) return 'Just now';
-  if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)} mins ago`;
-  if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)} hours ago`;
-  return `${Math.floor(diffInSeconds / 86400)} days ago`;
-}
-
 /**
  * Initialize Testimonial Carousel
  */
@@ -554,7 +529,8 @@ async function loadSubscriptionPlans() {
     // Fetch pricing from API
     const response = await apiService.get(
       `${CONFIG.ENDPOINTS.PAYMENTS.PRICING}?country_code=${country}`,
-      false
+      false,
+      { cache: true }
     );
     
     if (response.success && response.data && response.data.plans) {
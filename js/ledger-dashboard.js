@@ -0,0 +1,222 @@
+/**
+ * Ledger Dashboard
+ * ROI, hit rate per platform and country, and the bet list with CSV export
+ */
+
+let ledgerEntries = [];
+
+// Render once the page is ready and whenever the ledger changes
+document.addEventListener('DOMContentLoaded', () => {
+  if (!document.getElementById('ledger-dashboard')) return;
+
+  loadLedgerDashboard();
+  window.addEventListener('ledgerChanged', loadLedgerDashboard);
+});
+
+/**
+ * Load entries and render the dashboard
+ */
+async function loadLedgerDashboard() {
+  const container = document.getElementById('ledger-dashboard');
+
+  try {
+    ledgerEntries = await ledgerService.getAll();
+  } catch (error) {
+    console.error('Failed to load ledger:', error);
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>Unable to Load Ledger</h3>
+        <p>${securityManager.sanitizeHTML(error.message || 'Please try again.')}</p>
+      </div>
+    `;
+    return;
+  }
+
+  if (ledgerEntries.length === 0) {
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>No Bets Tracked Yet</h3>
+        <p>Copy a code and tap "Track bet" to record your stake and result here.</p>
+        <a href="./codes.html" class="btn btn-primary">Browse Codes</a>
+      </div>
+    `;
+    return;
+  }
+
+  const summary = ledgerService.summarize(ledgerEntries);
+
+  container.innerHTML = `
+    <div class="ledger-stats">
+      ${renderLedgerStat('Total Staked', formatAmount(summary.staked))}
+      ${renderLedgerStat('Profit', formatAmount(summary.profit, true), summary.profit >= 0 ? 'positive' : 'negative')}
+      ${renderLedgerStat('ROI', formatPercent(summary.roi, true), summary.roi >= 0 ? 'positive' : 'negative')}
+      ${renderLedgerStat('Hit Rate', `${formatPercent(summary.hitRate)} (${summary.wins}/${summary.wins + summary.losses})`)}
+    </div>
+
+    <div class="ledger-breakdowns">
+      ${renderLedgerBreakdown('By Platform', ledgerService.summarizeBy(ledgerEntries, 'platform'), getPlatformText)}
+      ${renderLedgerBreakdown('By Country', ledgerService.summarizeBy(ledgerEntries, 'country'), country => `${getCountryFlag(country)} ${country}`)}
+    </div>
+
+    <div class="ledger-list-header">
+      <h3>Bets${summary.pending > 0 ? ` <span class="saved-count">(${summary.pending} pending)</span>` : ''}</h3>
+      <button type="button" class="btn btn-outline" onclick="exportLedgerCSV()">Export CSV</button>
+    </div>
+
+    <div class="ledger-table-wrapper">
+      <table class="ledger-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Code</th>
+            <th>Odds</th>
+            <th>Stake</th>
+            <th>Outcome</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${ledgerEntries.map(renderLedgerRow).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Single summary figure
+ */
+function renderLedgerStat(label, value, tone = '') {
+  return `
+    <div class="ledger-stat">
+      <div class="stat-label">${label}</div>
+      <div class="stat-value ${tone ? `ledger-${tone}` : ''}">${value}</div>
+    </div>
+  `;
+}
+
+/**
+ * Hit rate and ROI table for one grouping
+ */
+function renderLedgerBreakdown(title, groups, formatKey) {
+  return `
+    <div class="ledger-breakdown">
+      <h3>${title}</h3>
+      <table class="ledger-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Bets</th>
+            <th>Hit Rate</th>
+            <th>ROI</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${groups.map(group => `
+            <tr>
+              <td>${securityManager.sanitizeHTML(formatKey(group.key))}</td>
+              <td>${group.bets}</td>
+              <td>${group.wins + group.losses > 0 ? formatPercent(group.hitRate) : '-'}</td>
+              <td class="${group.roi >= 0 ? 'ledger-positive' : 'ledger-negative'}">${group.settled > 0 ? formatPercent(group.roi, true) : '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * One bet with an outcome picker
+ */
+function renderLedgerRow(entry) {
+  const options = ledgerService.outcomes.map(outcome => `
+    <option value="${outcome}"${entry.outcome === outcome ? ' selected' : ''}>${outcome.charAt(0).toUpperCase() + outcome.slice(1)}</option>
+  `).join('');
+
+  return `
+    <tr>
+      <td>${formatDate(entry.createdAt)}</td>
+      <td>
+        <div class="ledger-code">${securityManager.sanitizeHTML(entry.text)}</div>
+        <small>${securityManager.sanitizeHTML(getPlatformText(entry.platform))}</small>
+      </td>
+      <td>${entry.odds}</td>
+      <td>${formatAmount(entry.stake)}</td>
+      <td>
+        <select class="ledger-outcome ledger-outcome-${entry.outcome}" onchange="updateLedgerOutcome('${entry.id}', this.value)" aria-label="Outcome">
+          ${options}
+        </select>
+      </td>
+      <td>
+        <button type="button" class="ledger-remove-btn" onclick="removeLedgerEntry('${entry.id}')" aria-label="Remove bet">&times;</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Mark a bet as won, lost, void or pending
+ */
+async function updateLedgerOutcome(entryId, outcome) {
+  const entry = ledgerEntries.find(item => item.id === entryId);
+  if (!entry) return;
+
+  try {
+    await ledgerService.update(entry, { outcome });
+  } catch (error) {
+    console.error('Failed to update bet:', error);
+    showAlert(error.message || 'Failed to update bet', 'error');
+  }
+}
+
+/**
+ * Remove a bet from the ledger
+ */
+async function removeLedgerEntry(entryId) {
+  const confirmRemove = confirm('Remove this bet from your ledger?');
+  if (!confirmRemove) return;
+
+  try {
+    await ledgerService.remove(entryId);
+  } catch (error) {
+    console.error('Failed to remove bet:', error);
+    showAlert(error.message || 'Failed to remove bet', 'error');
+  }
+}
+
+/**
+ * Download the ledger as a CSV file
+ */
+function exportLedgerCSV() {
+  const csv = ledgerService.toCSV(ledgerEntries);
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `surely-ledger-${formatDate(Date.now())}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Format a money amount, optionally with a sign
+ */
+function formatAmount(amount, signed = false) {
+  const formatted = Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if (!signed) return formatted;
+  return `${amount < 0 ? '-' : '+'}${formatted}`;
+}
+
+/**
+ * Format a percentage, optionally with a sign
+ */
+function formatPercent(value, signed = false) {
+  const formatted = `${Math.abs(value).toFixed(1)}%`;
+  if (!signed) return formatted;
+  return `${value < 0 ? '-' : '+'}${formatted}`;
+}
@@ -51,8 +51,8 @@ async function handleLogin() {
       setTimeout(() => {
         console.log('Redirecting to profile...');
         
-        // Use relative path since we're in /pages/login.html
-        const redirectPath = './profile.html';
+        // Return to the page that sent us here (relative to /pages/login.html)
+        const redirectPath = routerService.getRedirectPath();
         
         console.log('Redirect path:', redirectPath);
         console.log('Current location:', window.location.href);
@@ -73,7 +73,17 @@ async function handleLogin() {
     // Improved error message handling
     let errorMessage = 'Login failed. Please check your credentials and try again.';
     
-    if (error.message) {
+    if (error instanceof ValidationError && showFieldErrors(error.fieldErrors)) {
+      errorMessage = error.message;
+    } else if (error instanceof AuthError) {
+      errorMessage = 'Invalid email or password. Please try again.';
+    } else if (error instanceof NetworkError || error instanceof TimeoutError) {
+      errorMessage = 'Network error. Please check your connection and try again.';
+    } else if (error instanceof ServerError) {
+      errorMessage = 'Server error. Please try again later.';
+    } else if (error.status === 404) {
+      errorMessage = 'Account not found. Please check your email or register.';
+    } else if (error.message) {
       // Extract meaningful error message
       if (error.message.includes('Invalid') || error.message.includes('incorrect')) {
         errorMessage = 'Invalid email or password. Please try again.';
@@ -123,6 +133,24 @@ function clearAlerts() {
   document.getElementById('alert-container').innerHTML = '';
 }
 
+/**
+ * Show server validation errors under their fields
+ * Returns true if any were shown
+ */
+function showFieldErrors(fieldErrors) {
+  let shown = false;
+  
+  Object.entries(fieldErrors).forEach(([field, message]) => {
+    const errorEl = document.getElementById(`${field}-error`);
+    if (errorEl) {
+      errorEl.textContent = message;
+      shown = true;
+    }
+  });
+  
+  return shown;
+}
+
 /**
  * Clear form errors
  */
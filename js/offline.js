@@ -0,0 +1,137 @@
+/**
+ * Offline Support
+ * Registers the service worker and shows a banner while offline, when data comes from the offline cache
+ * and when queued changes have synced
+ */
+
+// sw.js sits at the site root so it controls every page
+const SERVICE_WORKER_URL = new URL('../sw.js', document.currentScript.src).href;
+
+const offlineState = {
+  offline: !navigator.onLine,
+  cachedAt: null,   // Set when a response came from the service worker's cache
+  pending: 0        // Changes waiting in the offline queue
+};
+
+let offlineBannerTimer = null;
+
+registerServiceWorker();
+
+document.addEventListener('DOMContentLoaded', () => {
+  const banner = document.createElement('div');
+  banner.id = 'offline-banner';
+  banner.className = 'offline-banner hidden';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+  document.body.prepend(banner);
+
+  updateOfflineBanner();
+});
+
+window.addEventListener('offline', () => {
+  offlineState.offline = true;
+  updateOfflineBanner();
+});
+
+window.addEventListener('online', () => {
+  offlineState.offline = false;
+  offlineState.cachedAt = null;
+  updateOfflineBanner();
+});
+
+window.addEventListener('offlineDataServed', (e) => {
+  offlineState.cachedAt = e.detail.cachedAt;
+  updateOfflineBanner();
+});
+
+window.addEventListener('offlineQueueChanged', (e) => {
+  offlineState.pending = e.detail.pending;
+  updateOfflineBanner();
+});
+
+window.addEventListener('offlineQueueSynced', (e) => {
+  const { synced, failed } = e.detail;
+
+  if (failed.length > 0) {
+    flashOfflineBanner(`${failed.length} offline change${failed.length === 1 ? '' : 's'} couldn't be saved`, 'error');
+  } else {
+    flashOfflineBanner(`Back online - ${synced.length} change${synced.length === 1 ? '' : 's'} synced`, 'success');
+  }
+});
+
+// The worker's API cache holds the last user's subscription - clear it whenever the user changes
+window.addEventListener('authStateChanged', () => {
+  if (navigator.serviceWorker?.controller) {
+    navigator.serviceWorker.controller.postMessage({ type: 'clearApiCache' });
+  }
+});
+
+/**
+ * Register the service worker once the page has loaded
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
+
+/**
+ * Show or hide the banner for the current state
+ */
+function updateOfflineBanner() {
+  const banner = document.getElementById('offline-banner');
+  if (!banner || offlineBannerTimer) return;
+
+  let message = '';
+
+  // Only mention cached data once the service worker has actually served some
+  if (offlineState.offline) {
+    message = offlineState.cachedAt
+      ? `You're offline - showing cached data from ${formatCachedTime(offlineState.cachedAt)}`
+      : 'You\'re offline';
+  } else if (offlineState.cachedAt) {
+    message = `Can't reach Surely - showing cached data from ${formatCachedTime(offlineState.cachedAt)}`;
+  }
+
+  if (message && offlineState.pending > 0) {
+    message += `. ${offlineState.pending} change${offlineState.pending === 1 ? '' : 's'} will sync when you reconnect`;
+  }
+
+  banner.textContent = message;
+  banner.className = 'offline-banner';
+  banner.classList.toggle('hidden', !message);
+}
+
+/**
+ * Show a short-lived message, then go back to the current state
+ */
+function flashOfflineBanner(message, type) {
+  const banner = document.getElementById('offline-banner');
+  if (!banner) return;
+
+  clearTimeout(offlineBannerTimer);
+
+  banner.textContent = message;
+  banner.className = `offline-banner ${type}`;
+
+  offlineBannerTimer = setTimeout(() => {
+    offlineBannerTimer = null;
+    updateOfflineBanner();
+  }, 4000);
+}
+
+/**
+ * Time of day for today's cache, date and time for older ones
+ */
+function formatCachedTime(timestamp) {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,89 @@
+/**
+ * OTP Input Helpers
+ * Wires a row of single-digit inputs with auto-advance, backspace and paste support
+ */
+
+/**
+ * Initialize digit inputs inside a container
+ * Calls onComplete(code) once every box is filled
+ */
+function initOTPInputs(containerId, onComplete) {
+  const inputs = Array.from(document.querySelectorAll(`#${containerId} .otp-digit`));
+
+  inputs.forEach((input, index) => {
+    input.addEventListener('input', () => {
+      // Keep digits only, one per box
+      input.value = input.value.replace(/\D/g, '').slice(-1);
+
+      if (input.value && index < inputs.length - 1) {
+        inputs[index + 1].focus();
+      }
+
+      const code = getOTPValue(containerId);
+      if (code.length === inputs.length && onComplete) {
+        onComplete(code);
+      }
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Backspace' && !input.value && index > 0) {
+        inputs[index - 1].focus();
+        inputs[index - 1].value = '';
+      } else if (e.key === 'ArrowLeft' && index > 0) {
+        inputs[index - 1].focus();
+      } else if (e.key === 'ArrowRight' && index < inputs.length - 1) {
+        inputs[index + 1].focus();
+      }
+    });
+
+    input.addEventListener('paste', (e) => {
+      e.preventDefault();
+      const pasted = (e.clipboardData || window.clipboardData).getData('text').replace(/\D/g, '');
+      if (!pasted) return;
+
+      // Fill from the box that received the paste onwards
+      pasted.slice(0, inputs.length - index).split('').forEach((digit, offset) => {
+        inputs[index + offset].value = digit;
+      });
+
+      const nextEmpty = inputs.find(el => !el.value);
+      (nextEmpty || inputs[inputs.length - 1]).focus();
+
+      const code = getOTPValue(containerId);
+      if (code.length === inputs.length && onComplete) {
+        onComplete(code);
+      }
+    });
+  });
+
+  if (inputs[0]) {
+    inputs[0].focus();
+  }
+}
+
+/**
+ * Get the code currently entered
+ */
+function getOTPValue(containerId) {
+  return Array.from(document.querySelectorAll(`#${containerId} .otp-digit`))
+    .map(input => input.value)
+    .join('');
+}
+
+/**
+ * Clear all digit inputs and focus the first one
+ */
+function clearOTPInputs(containerId) {
+  const inputs = document.querySelectorAll(`#${containerId} .otp-digit`);
+  inputs.forEach(input => input.value = '');
+  if (inputs[0]) inputs[0].focus();
+}
+
+/**
+ * Enable or disable all digit inputs
+ */
+function setOTPInputsDisabled(containerId, disabled) {
+  document.querySelectorAll(`#${containerId} .otp-digit`).forEach(input => {
+    input.disabled = disabled;
+  });
+}
@@ -1,17 +1,31 @@
 /**
  * Profile Page JavaScript
  * Handles user profile display and account management
- * UPDATED: Removed personal info editing, added expandable sections, auto-refresh username
+ * UPDATED: Expandable sections, auto-refresh username, editable personal details with rollback, saved codes
  */
 
 let originalProfileData = {};
 
+// Editable personal details fields (also the form input ids)
+const PROFILE_FIELDS = ['firstName', 'lastName', 'userName', 'phone'];
+
 // Load profile data on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadProfile();
   await loadSubscriptionInfo();
   setupEventListeners();
   
+  // Saved list re-renders whenever a code is saved or removed (including on first load)
+  window.addEventListener('savedCodesChanged', loadSavedCodes);
+  loadSavedCodes();
+  
+  // Profile reloaded elsewhere (e.g. an offline change was rejected) - don't overwrite edits in progress
+  window.addEventListener('profileUpdated', (e) => {
+    if (e.detail?.user && !getProfileChanges()) {
+      displayProfileData(e.detail.user);
+    }
+  });
+  
   // Initialize sections as collapsed by default
   collapseAllSections();
 });
@@ -78,6 +92,7 @@ function displayProfileData(user) {
   const userName = user.userName || user.username || user.user_name || '';
   const userId = user.userId || user.user_id || '';
   const userEmail = user.email || '';
+  const phone = user.phone || user.phoneNumber || user.phone_number || '';
   
   // Split username into first and last name if needed
   const nameParts = userName.split(' ');
@@ -90,8 +105,9 @@ function displayProfileData(user) {
   document.getElementById('user-email').textContent = userEmail;
   
   // Update avatar initials
-  const initials = getInitials(firstName, lastName, userName);
+  const initials = authService.getInitials({ firstName, lastName, userName });
   document.getElementById('avatar-initials').textContent = initials;
+  renderProfileAvatar(user);
   
   // Store normalized data
   originalProfileData = {
@@ -100,27 +116,47 @@ function displayProfileData(user) {
     lastName,
     userName,
     userId,
-    email: userEmail
+    email: userEmail,
+    phone
   };
+  
+  // Reset the details form to the saved values
+  populateProfileForm();
+  
+  // Prompt unverified accounts to verify
+  document.getElementById('verification-banner').classList.toggle('hidden', authService.isVerified());
 }
 
 /**
- * Get initials from name
+ * Open the OTP verification screen for the current account
  */
-function getInitials(firstName, lastName, userName) {
-  if (firstName && lastName) {
-    return `${firstName.charAt(0)}${lastName.charAt(0)}`.toUpperCase();
-  }
+function startVerification() {
+  const email = originalProfileData.email || '';
+  window.location.href = `./verify.html?source=profile&email=${encodeURIComponent(email)}`;
+}
+
+/**
+ * Show the avatar photo if set, otherwise the initials
+ */
+function renderProfileAvatar(user = authService.getCurrentUser()) {
+  const avatarUrl = authService.getAvatarUrl(user);
+  const image = document.getElementById('avatar-image');
+  const initials = document.getElementById('avatar-initials');
   
-  if (userName) {
-    const parts = userName.split(' ');
-    if (parts.length >= 2) {
-      return `${parts[0].charAt(0)}${parts[1].charAt(0)}`.toUpperCase();
-    }
-    return userName.substring(0, 2).toUpperCase();
+  if (avatarUrl) {
+    image.src = avatarUrl;
+    image.onerror = () => {
+      // Broken URL - fall back to initials
+      image.classList.add('hidden');
+      initials.classList.remove('hidden');
+    };
+  } else {
+    image.removeAttribute('src');
   }
   
-  return '??';
+  image.classList.toggle('hidden', !avatarUrl);
+  initials.classList.toggle('hidden', Boolean(avatarUrl));
+  document.getElementById('avatar-remove-btn').classList.toggle('hidden', !avatarUrl);
 }
 
 /**
@@ -131,13 +167,12 @@ async function loadSubscriptionInfo() {
   
   try {
     // Use payment endpoint: GET /payments/me
-    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME);
+    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME, true, {
+      cache: true,
+      onUpdate: showSubscriptionResponse
+    });
     
-    if (response.success && response.data) {
-      displaySubscriptionInfo(response.data);
-    } else {
-      displayFreeSubscription();
-    }
+    showSubscriptionResponse(response);
     
   } catch (error) {
     console.error('Failed to load subscription:', error);
@@ -145,6 +180,17 @@ async function loadSubscriptionInfo() {
   }
 }
 
+/**
+ * Show a /payments/me response
+ */
+function showSubscriptionResponse(response) {
+  if (response.success && response.data) {
+    displaySubscriptionInfo(response.data);
+  } else {
+    displayFreeSubscription();
+  }
+}
+
 /**
  * Display subscription information with animations
  */
@@ -367,7 +413,7 @@ function toggleSection(sectionId) {
  * Collapse all sections initially
  */
 function collapseAllSections() {
-  const sections = ['subscription', 'security'];
+  const sections = ['details', 'subscription', 'saved', 'ledger', 'security', 'danger'];
   sections.forEach(sectionId => {
     const content = document.getElementById(`${sectionId}-content`);
     const icon = document.getElementById(`${sectionId}-icon`);
@@ -385,6 +431,31 @@ function setupEventListeners() {
   // Password form submission
   const passwordForm = document.getElementById('password-form');
   passwordForm.addEventListener('submit', handlePasswordChange);
+  
+  // Personal details form
+  const profileForm = document.getElementById('profile-form');
+  profileForm.addEventListener('submit', handleProfileUpdate);
+  document.getElementById('discard-profile-btn').addEventListener('click', populateProfileForm);
+  
+  PROFILE_FIELDS.forEach(field => {
+    const input = document.getElementById(field);
+    input.addEventListener('input', () => {
+      validateProfileField(field);
+      updateProfileDirtyState();
+    });
+  });
+  
+  // Warn before leaving with unsaved changes
+  window.addEventListener('beforeunload', (e) => {
+    if (getProfileChanges()) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+  
+  // Account deletion
+  const deleteForm = document.getElementById('delete-account-form');
+  deleteForm.addEventListener('submit', handleDeleteAccount);
 }
 
 /**
@@ -441,12 +512,404 @@ async function handlePasswordChange(e) {
     
   } catch (error) {
     console.error('Password change error:', error);
+    
+    // The API validates the new password as "password"
+    if (error instanceof ValidationError) {
+      showFieldErrors(error.fieldErrors, { password: 'newPassword' });
+    }
+    
     showAlert(error.message || 'Failed to change password', 'error');
   } finally {
     setLoadingState('change-password-btn', 'password-btn-text', 'password-btn-loading', false);
   }
 }
 
+/**
+ * Fill the details form from the saved profile and reset dirty state
+ */
+function populateProfileForm() {
+  PROFILE_FIELDS.forEach(field => {
+    const input = document.getElementById(field);
+    input.value = originalProfileData[field] || '';
+    input.classList.remove('input-invalid');
+    document.getElementById(`${field}-error`).textContent = '';
+  });
+  
+  updateProfileDirtyState();
+}
+
+/**
+ * Get changed fields, or null if the form matches the saved profile
+ */
+function getProfileChanges() {
+  const changes = {};
+  
+  PROFILE_FIELDS.forEach(field => {
+    const value = document.getElementById(field).value.trim();
+    if (value !== (originalProfileData[field] || '')) {
+      changes[field] = value;
+    }
+  });
+  
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Validate a single details field and show its inline error
+ * Returns true when valid
+ */
+function validateProfileField(field) {
+  const input = document.getElementById(field);
+  const value = input.value.trim();
+  let error = '';
+  
+  if (field === 'firstName' || field === 'lastName') {
+    // Accounts with a one-word username have no last name - only insist once there is one to keep
+    const required = field === 'firstName' || Boolean(originalProfileData.lastName);
+    
+    if (!value) {
+      if (required) {
+        error = `${field === 'firstName' ? 'First' : 'Last'} name is required`;
+      }
+    } else if (value.length > 50) {
+      error = 'Must be 50 characters or less';
+    } else if (!/^[\p{L}\s'-]+$/u.test(value)) {
+      error = 'Only letters, spaces, hyphens and apostrophes';
+    }
+  } else if (field === 'userName') {
+    if (!value) {
+      error = 'Username is required';
+    } else if (value.length < 3 || value.length > 30) {
+      error = 'Username must be 3-30 characters';
+    } else if (!/^[\w .-]+$/.test(value)) {
+      error = 'Only letters, numbers, spaces, dots, dashes and underscores';
+    }
+  } else if (field === 'phone') {
+    if (value && !/^\+?[\d\s-]{7,20}$/.test(value)) {
+      error = 'Enter a valid phone number';
+    }
+  }
+  
+  document.getElementById(`${field}-error`).textContent = error;
+  input.classList.toggle('input-invalid', Boolean(error));
+  return !error;
+}
+
+/**
+ * Enable save/discard only when there are valid unsaved changes
+ */
+function updateProfileDirtyState() {
+  const isDirty = getProfileChanges() !== null;
+  const hasErrors = PROFILE_FIELDS.some(field => 
+    document.getElementById(`${field}-error`).textContent !== ''
+  );
+  
+  document.getElementById('save-profile-btn').disabled = !isDirty || hasErrors;
+  document.getElementById('discard-profile-btn').disabled = !isDirty;
+}
+
+/**
+ * Update header name and initials
+ */
+function updateProfileHeader(firstName, lastName, userName) {
+  const fullName = `${firstName} ${lastName}`.trim() || userName || 'User';
+  document.getElementById('user-full-name').textContent = fullName;
+  document.getElementById('avatar-initials').textContent = authService.getInitials({ firstName, lastName, userName });
+}
+
+/**
+ * Handle personal details update
+ * Updates the header optimistically and rolls back if the PATCH fails
+ */
+async function handleProfileUpdate(e) {
+  e.preventDefault();
+  
+  clearAlerts();
+  
+  const allValid = PROFILE_FIELDS.map(validateProfileField).every(Boolean);
+  if (!allValid) {
+    updateProfileDirtyState();
+    return;
+  }
+  
+  const changes = getProfileChanges();
+  if (!changes) return;
+  
+  const previous = { ...originalProfileData };
+  const next = { ...originalProfileData, ...changes };
+  
+  // Optimistic update
+  updateProfileHeader(next.firstName, next.lastName, next.userName);
+  setLoadingState('save-profile-btn', 'profile-btn-text', 'profile-btn-loading', true);
+  
+  try {
+    const response = await authService.updateProfile(changes);
+    
+    displayProfileData(authService.getCurrentUser());
+    
+    if (response.queued) {
+      showAlert('You\'re offline - your changes will be saved when you reconnect', 'info');
+    } else {
+      showAlert('Profile updated successfully', 'success');
+    }
+    
+  } catch (error) {
+    console.error('Profile update error:', error);
+    
+    // Roll back header; keep the user's edits in the form so they can retry
+    updateProfileHeader(previous.firstName, previous.lastName, previous.userName);
+    
+    if (error instanceof ValidationError && Object.keys(error.fieldErrors).length > 0) {
+      showFieldErrors(error.fieldErrors);
+    } else if (error.message && /username/i.test(error.message)) {
+      document.getElementById('userName-error').textContent = error.message;
+    } else if (error.message && /phone/i.test(error.message)) {
+      document.getElementById('phone-error').textContent = error.message;
+    }
+    
+    showAlert(error.message || 'Failed to update profile', 'error');
+  } finally {
+    setLoadingState('save-profile-btn', 'profile-btn-text', 'profile-btn-loading', false);
+    updateProfileDirtyState();
+  }
+}
+
+/**
+ * Handle account deletion
+ * Re-verifies the password and checks for an active subscription before deleting
+ */
+async function handleDeleteAccount(e) {
+  e.preventDefault();
+  
+  clearErrors();
+  clearAlerts();
+  
+  const password = document.getElementById('deletePassword').value;
+  const confirmed = document.getElementById('delete-confirm').checked;
+  
+  if (!password) {
+    document.getElementById('deletePassword-error').textContent = 'Password is required';
+    return;
+  }
+  
+  if (!confirmed) {
+    document.getElementById('delete-confirm-error').textContent = 'Please confirm you understand this cannot be undone';
+    return;
+  }
+  
+  setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', true);
+  
+  try {
+    if (!await checkDeletePassword(password)) {
+      document.getElementById('deletePassword-error').textContent = 'Incorrect password';
+      return;
+    }
+    
+    // Warn before deleting an account that still has a paid subscription
+    const subscription = await getActiveSubscription();
+    if (subscription) {
+      showDeleteSubscriptionWarning(subscription);
+      return;
+    }
+    
+    if (!confirmAccountDeletion()) return;
+    
+    await deleteAccount();
+    
+  } catch (error) {
+    // Subscription and delete failures - the password was already accepted
+    console.error('Account deletion error:', error);
+    showAlert(error.message || 'Failed to delete account. Please try again.', 'error');
+  } finally {
+    setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', false);
+  }
+}
+
+/**
+ * Check the password before deleting
+ * The check skips the session interceptor, so a 401/403 (or 400/422) from it is a rejected password
+ */
+async function checkDeletePassword(password) {
+  try {
+    return await authService.verifyPassword(password);
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof ValidationError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the active subscription, if any
+ * GET /payments/me
+ */
+async function getActiveSubscription() {
+  try {
+    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME);
+    if (response.success && response.data && response.data.active === true) {
+      return response.data;
+    }
+  } catch (error) {
+    console.error('Failed to check subscription before deletion:', error);
+  }
+  return null;
+}
+
+/**
+ * Show active subscription warning with cancel / delete anyway options
+ */
+function showDeleteSubscriptionWarning(subscription) {
+  const container = document.getElementById('delete-subscription-warning');
+  const planName = subscription.plan ? 
+    (subscription.plan.charAt(0).toUpperCase() + subscription.plan.slice(1)) : 
+    'Pro';
+  const expiresAt = subscription.expires_at ? 
+    new Date(subscription.expires_at).toLocaleDateString() : 
+    'N/A';
+  const autoRenew = subscription.subscription_type === 'auto_recurring' && subscription.auto_renew_enabled;
+  
+  container.innerHTML = `
+    <div class="grace-period-notice">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/>
+        <line x1="12" y1="9" x2="12" y2="13"/>
+        <line x1="12" y1="17" x2="12.01" y2="17"/>
+      </svg>
+      <span>
+        You have an active ${securityManager.sanitizeHTML(planName)} subscription (expires ${expiresAt}).
+        ${autoRenew ? 'It is set to auto-renew and you may be charged again unless you cancel it first.' : 'Deleting your account forfeits the remaining time.'}
+      </span>
+    </div>
+    <div class="delete-warning-actions">
+      ${autoRenew ? `
+        <button type="button" class="btn btn-outline btn-sm" onclick="cancelSubscriptionAndDelete()">Cancel Subscription & Delete</button>
+      ` : ''}
+      <button type="button" class="btn btn-danger btn-sm" onclick="confirmDeleteAnyway()">Delete Anyway</button>
+    </div>
+  `;
+  container.classList.remove('hidden');
+}
+
+/**
+ * Cancel the subscription, then delete the account
+ * Confirms first - nothing is cancelled if the user backs out
+ * POST /payments/cancel
+ */
+async function cancelSubscriptionAndDelete() {
+  clearAlerts();
+  
+  if (!confirmAccountDeletion()) return;
+  
+  setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', true);
+  
+  try {
+    const response = await apiService.post(CONFIG.ENDPOINTS.PAYMENTS.CANCEL, {}, true, { idempotencyKey: true });
+    if (!response.success) {
+      throw new Error('Failed to cancel subscription');
+    }
+    apiService.invalidateCache(CONFIG.ENDPOINTS.PAYMENTS.ME);
+    
+    showAlert('Subscription canceled.', 'success');
+    await deleteAccount();
+    
+  } catch (error) {
+    console.error('Cancel before delete error:', error);
+    showAlert(error.message || 'Failed to cancel subscription. Please try again.', 'error');
+  } finally {
+    setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', false);
+  }
+}
+
+/**
+ * Delete without cancelling the subscription
+ */
+async function confirmDeleteAnyway() {
+  if (!confirmAccountDeletion()) return;
+  
+  setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', true);
+  
+  try {
+    await deleteAccount();
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    showAlert(error.message || 'Failed to delete account. Please try again.', 'error');
+  } finally {
+    setLoadingState('delete-account-btn', 'delete-btn-text', 'delete-btn-loading', false);
+  }
+}
+
+/**
+ * Final confirmation - ask before anything irreversible happens
+ */
+function confirmAccountDeletion() {
+  return confirm(
+    'This will permanently delete your Surely account.\n\n' +
+    'This action cannot be undone. Continue?'
+  );
+}
+
+/**
+ * Delete the account and clear the local session
+ * Callers confirm first with confirmAccountDeletion()
+ * DELETE /user/delete/{userId}
+ */
+async function deleteAccount() {
+  await authService.deleteAccount();
+  
+  try {
+    await savedCodesService.clearUser();
+    await ledgerService.clearUser();
+  } catch (error) {
+    console.error('Failed to clear local data:', error);
+  }
+  
+  // The token died with the account - clear it locally rather than calling the logout endpoint
+  authService.expireSession();
+  authService.clearSessionData();
+  
+  showAlert('Your account has been deleted.', 'success');
+  
+  setTimeout(() => {
+    window.location.href = './login.html';
+  }, 1500);
+}
+
+/**
+ * Render the user's saved codes
+ */
+async function loadSavedCodes() {
+  const container = document.getElementById('saved-codes-container');
+  const countEl = document.getElementById('saved-count');
+  
+  try {
+    const entries = await savedCodesService.getAll();
+    countEl.textContent = entries.length > 0 ? `(${entries.length})` : '';
+    
+    if (entries.length === 0) {
+      container.innerHTML = `
+        <div class="no-codes-message">
+          <h3>No Saved Codes</h3>
+          <p>Tap the bookmark on any code to keep it here until it expires.</p>
+          <a href="./codes.html" class="btn btn-primary">Browse Codes</a>
+        </div>
+      `;
+      return;
+    }
+    
+    container.innerHTML = renderCodeCards(entries.map(entry => entry.code));
+    
+  } catch (error) {
+    console.error('Failed to load saved codes:', error);
+    container.innerHTML = `
+      <div class="no-codes-message">
+        <h3>Unable to Load Saved Codes</h3>
+        <p>${securityManager.sanitizeHTML(error.message || 'Please try again.')}</p>
+      </div>
+    `;
+  }
+}
+
 /**
  * Toggle password field visibility
  */
@@ -485,6 +948,19 @@ function clearAlerts() {
   document.getElementById('alert-container').innerHTML = '';
 }
 
+/**
+ * Show server validation errors under their fields
+ * fieldIds maps API field names onto form field ids where they differ
+ */
+function showFieldErrors(fieldErrors, fieldIds = {}) {
+  Object.entries(fieldErrors).forEach(([field, message]) => {
+    const errorEl = document.getElementById(`${fieldIds[field] || field}-error`);
+    if (errorEl) {
+      errorEl.textContent = message;
+    }
+  });
+}
+
 /**
  * Clear form errors
  */
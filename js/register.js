@@ -0,0 +1,223 @@
+/**
+ * Register Page JavaScript
+ * Handles sign-up form validation and account creation
+ */
+
+const registerForm = document.getElementById('register-form');
+const registerBtn = document.getElementById('register-btn');
+const btnText = document.getElementById('btn-text');
+const btnLoading = document.getElementById('btn-loading');
+
+// Handle form submission
+registerForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await handleRegister();
+});
+
+// Clear a field's error as soon as the user edits it
+registerForm.querySelectorAll('.form-input').forEach(input => {
+  input.addEventListener('input', () => {
+    const errorEl = document.getElementById(`${input.id}-error`);
+    if (errorEl) errorEl.textContent = '';
+  });
+});
+
+/**
+ * Handle registration process
+ */
+async function handleRegister() {
+  // Clear previous errors
+  clearErrors();
+  clearAlerts();
+
+  // Get form data
+  const userData = {
+    firstName: document.getElementById('firstName').value.trim(),
+    lastName: document.getElementById('lastName').value.trim(),
+    phone: document.getElementById('phone').value.trim(),
+    email: document.getElementById('email').value.trim(),
+    password: document.getElementById('password').value,
+    rememberMe: document.getElementById('remember-me').checked
+  };
+  const confirmPassword = document.getElementById('confirmPassword').value;
+
+  // Validate inputs
+  if (!validateRegisterForm(userData, confirmPassword)) {
+    showAlert('Please fix the highlighted fields', 'error');
+    return;
+  }
+
+  // Set loading state
+  setLoading(true);
+
+  try {
+    const response = await authService.register(userData);
+
+    if (response.success) {
+      // Backend may not return a token on registration - log in with the new credentials
+      if (!securityManager.isAuthenticated() && !await loginAfterRegister(userData)) {
+        return;
+      }
+
+      showAlert('Account created successfully! Please verify your email...', 'success');
+
+      // Verification screen continues to the stored redirect path when done
+      setTimeout(() => {
+        window.location.href = `./verify.html?email=${encodeURIComponent(userData.email)}`;
+      }, 1000);
+    }
+
+  } catch (error) {
+    console.error('Registration error:', error);
+
+    const message = error.message || 'Registration failed. Please try again.';
+
+    // Map known messages onto the matching field
+    if (/email/i.test(message) && /(exist|taken|registered|use)/i.test(message)) {
+      showFieldError('email', 'An account with this email already exists');
+      showAlert('An account with this email already exists. Try logging in instead.', 'error');
+    } else if (/password/i.test(message)) {
+      showFieldError('password', message);
+      showAlert(message, 'error');
+    } else if (/phone/i.test(message)) {
+      showFieldError('phone', message);
+      showAlert(message, 'error');
+    } else if (error instanceof NetworkError || error instanceof TimeoutError) {
+      showAlert('Network error. Please check your connection and try again.', 'error');
+    } else {
+      showAlert(message, 'error');
+    }
+
+    setLoading(false);
+  }
+}
+
+/**
+ * Log in with the credentials just registered
+ * The account exists either way - if this fails, send the user to login rather than back through registration
+ */
+async function loginAfterRegister(userData) {
+  try {
+    await authService.login(userData.email, userData.password, userData.rememberMe);
+    return true;
+  } catch (error) {
+    console.error('Login after registration failed:', error);
+    showAlert('Account created! Please log in to continue.', 'success');
+
+    setTimeout(() => {
+      window.location.href = './login.html';
+    }, 1500);
+    return false;
+  }
+}
+
+/**
+ * Validate registration fields and show per-field errors
+ * Returns true when the form is valid
+ */
+function validateRegisterForm(userData, confirmPassword) {
+  let valid = true;
+
+  if (!userData.firstName) {
+    showFieldError('firstName', 'First name is required');
+    valid = false;
+  }
+
+  if (!userData.lastName) {
+    showFieldError('lastName', 'Last name is required');
+    valid = false;
+  }
+
+  if (userData.phone && !/^\+?[\d\s-]{7,20}$/.test(userData.phone)) {
+    showFieldError('phone', 'Enter a valid phone number');
+    valid = false;
+  }
+
+  if (!userData.email) {
+    showFieldError('email', 'Email is required');
+    valid = false;
+  } else if (!securityManager.validateEmail(userData.email)) {
+    showFieldError('email', 'Invalid email format');
+    valid = false;
+  }
+
+  if (!userData.password) {
+    showFieldError('password', 'Password is required');
+    valid = false;
+  } else {
+    const passwordValidation = securityManager.validatePassword(userData.password);
+    if (!passwordValidation.valid) {
+      const errors = [];
+      if (!passwordValidation.minLength) errors.push('at least 8 characters');
+      if (!passwordValidation.hasUpper) errors.push('one uppercase letter');
+      if (!passwordValidation.hasLower) errors.push('one lowercase letter');
+      if (!passwordValidation.hasNumber) errors.push('one number');
+      showFieldError('password', `Password must contain: ${errors.join(', ')}`);
+      valid = false;
+    }
+  }
+
+  if (!confirmPassword) {
+    showFieldError('confirmPassword', 'Please confirm your password');
+    valid = false;
+  } else if (userData.password !== confirmPassword) {
+    showFieldError('confirmPassword', 'Passwords do not match');
+    valid = false;
+  }
+
+  return valid;
+}
+
+/**
+ * Toggle password field visibility
+ */
+function togglePasswordField(fieldId) {
+  const field = document.getElementById(fieldId);
+  const type = field.getAttribute('type') === 'password' ? 'text' : 'password';
+  field.setAttribute('type', type);
+}
+
+/**
+ * Show error message under a form field
+ */
+function showFieldError(fieldId, message) {
+  const errorEl = document.getElementById(`${fieldId}-error`);
+  if (errorEl) {
+    errorEl.textContent = message;
+  }
+}
+
+/**
+ * Show alert message
+ */
+function showAlert(message, type = 'info') {
+  const container = document.getElementById('alert-container');
+  container.innerHTML = `
+    <div class="alert alert-${type}">
+      ${securityManager.sanitizeHTML(message)}
+    </div>
+  `;
+}
+
+/**
+ * Clear alert messages
+ */
+function clearAlerts() {
+  document.getElementById('alert-container').innerHTML = '';
+}
+
+/**
+ * Clear form errors
+ */
+function clearErrors() {
+  document.querySelectorAll('.form-error').forEach(el => el.textContent = '');
+}
+
+/**
+ * Set loading state
+ */
+function setLoading(loading) {
+  registerBtn.disabled = loading;
+  btnText.classList.toggle('hidden', loading);
+  btnLoading.classList.toggle('hidden', !loading);
+}
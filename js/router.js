@@ -62,7 +62,8 @@ class RouterService {
     const protectedPaths = [
       'profile.html',
       'subscription.html',
-      'dashboard.html'
+      'dashboard.html',
+      'bet-builder.html'
     ];
 
     return protectedPaths.some(protectedPath => path.includes(protectedPath));
@@ -72,7 +73,7 @@ class RouterService {
    * Check if route is an auth page
    */
   isAuthPage(path) {
-    const authPaths = ['login.html', 'register.html'];
+    const authPaths = ['login.html', 'register.html', 'forgot-password.html'];
     return authPaths.some(authPath => path.includes(authPath));
   }
 
@@ -108,13 +109,15 @@ class RouterService {
     const redirect = sessionStorage.getItem('redirectAfterLogin');
     sessionStorage.removeItem('redirectAfterLogin');
     
+    // Keep the query string (e.g. ?plan=monthly) so the page can restore its state
+    const query = redirect && redirect.includes('?') ? redirect.substring(redirect.indexOf('?')) : '';
+    
     // If there's a stored redirect, check if it's in pages
-    if (redirect && redirect.includes('profile.html')) {
-      return './profile.html';
-    } else if (redirect && redirect.includes('subscription.html')) {
-      return './subscription.html';
-    } else if (redirect && redirect.includes('dashboard.html')) {
-      return './dashboard.html';
+    const pages = ['profile.html', 'subscription.html', 'dashboard.html', 'bet-builder.html', 'code.html'];
+    const page = redirect && pages.find(name => redirect.includes(name));
+    
+    if (page) {
+      return `./${page}${query}`;
     }
     
     // Default to profile page (relative path)
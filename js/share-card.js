@@ -0,0 +1,297 @@
+/**
+ * Share Cards
+ * Branded share image for a code and a share sheet with WhatsApp, Telegram, X and copy-link targets
+ */
+
+// Image and link for the open share sheet
+let activeShare = null;
+
+/**
+ * Open the share sheet for a code on screen
+ */
+function openShareModal(codeId) {
+  const code = renderedCodes.get(codeId);
+  if (!code) return;
+
+  closeShareModal();
+
+  const title = getShareTitle(code);
+  activeShare = {
+    code,
+    title,
+    url: getCodeDetailUrl(codeId),
+    text: `${title}: ${code.text}${code.odds ? ` (${Math.round(code.odds * 100) / 100} odds)` : ''}`,
+    blob: null,
+    previewUrl: null
+  };
+
+  const modal = document.createElement('div');
+  modal.className = 'ledger-modal';
+  modal.id = 'share-modal';
+  modal.innerHTML = `
+    <div class="ledger-modal-overlay" onclick="closeShareModal()"></div>
+    <div class="ledger-modal-content share-modal-content">
+      <h3>Share Code</h3>
+
+      <div class="share-preview skeleton" id="share-preview"></div>
+
+      <div class="share-targets">
+        <button type="button" class="share-target share-whatsapp" onclick="shareToTarget('whatsapp')">WhatsApp</button>
+        <button type="button" class="share-target share-telegram" onclick="shareToTarget('telegram')">Telegram</button>
+        <button type="button" class="share-target share-x" onclick="shareToTarget('x')">X</button>
+        <button type="button" class="share-target" onclick="shareToTarget('copy')">Copy Link</button>
+      </div>
+
+      <div class="ledger-modal-actions">
+        <button type="button" class="btn btn-outline" onclick="closeShareModal()">Close</button>
+        <button type="button" class="btn btn-primary" id="share-image-btn" onclick="shareImage()" disabled>Share Image</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const share = activeShare;
+  renderShareImage(code).then(blob => {
+    // The sheet may have been closed or replaced while rendering
+    if (share !== activeShare) return;
+
+    share.blob = blob;
+    share.previewUrl = URL.createObjectURL(blob);
+
+    const preview = document.getElementById('share-preview');
+    preview.classList.remove('skeleton');
+    preview.innerHTML = `<img src="${share.previewUrl}" alt="${securityManager.sanitizeHTML(title)}">`;
+
+    const button = document.getElementById('share-image-btn');
+    button.disabled = false;
+    button.textContent = canShareFiles(blob) ? 'Share Image' : 'Download Image';
+  }).catch(error => {
+    console.error('Failed to render share image:', error);
+    const preview = document.getElementById('share-preview');
+    if (preview) preview.remove();
+  });
+}
+
+/**
+ * Close the share sheet
+ */
+function closeShareModal() {
+  const modal = document.getElementById('share-modal');
+  if (modal) {
+    modal.remove();
+  }
+
+  if (activeShare && activeShare.previewUrl) {
+    URL.revokeObjectURL(activeShare.previewUrl);
+  }
+  activeShare = null;
+}
+
+/**
+ * Headline for a shared code - the match for predictions, otherwise the platform
+ */
+function getShareTitle(code) {
+  return code.team1 && code.team2 ? `${code.team1} vs ${code.team2}` : getPlatformText(code.platform);
+}
+
+/**
+ * Send the link to a share target
+ */
+function shareToTarget(target) {
+  if (!activeShare) return;
+
+  const { url, text } = activeShare;
+  const targets = {
+    whatsapp: `https://wa.me/?text=${encodeURIComponent(`${text} ${url}`)}`,
+    telegram: `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`,
+    x: `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`
+  };
+
+  if (target === 'copy') {
+    copyCode(url, { message: 'Link copied to clipboard!' });
+    return;
+  }
+
+  window.open(targets[target], '_blank', 'noopener');
+}
+
+/**
+ * Share the image through the device share sheet, or download it where file sharing isn't supported
+ */
+async function shareImage() {
+  if (!activeShare || !activeShare.blob) return;
+
+  const { blob, title, text, url } = activeShare;
+
+  if (canShareFiles(blob)) {
+    try {
+      await navigator.share({
+        files: [createShareFile(blob)],
+        title: `Surely - ${title}`,
+        text: `${text} ${url}`
+      });
+    } catch (error) {
+      // Dismissing the share sheet rejects too
+      if (error.name !== 'AbortError') {
+        console.log('Share failed:', error);
+      }
+    }
+    return;
+  }
+
+  const link = document.createElement('a');
+  link.href = activeShare.previewUrl;
+  link.download = createShareFile(blob).name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+/**
+ * Check whether the browser can share image files
+ */
+function canShareFiles(blob) {
+  return Boolean(navigator.canShare && navigator.canShare({ files: [createShareFile(blob)] }));
+}
+
+/**
+ * Wrap the image blob as a file for sharing or download
+ */
+function createShareFile(blob) {
+  return new File([blob], 'surely-code.png', { type: 'image/png' });
+}
+
+/**
+ * Draw the branded share image
+ * Resolves with a PNG blob
+ */
+function renderShareImage(code) {
+  const width = 1200;
+  const height = 630;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  const font = '"Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+  // Brand background with a white panel
+  const background = ctx.createLinearGradient(0, 0, width, height);
+  background.addColorStop(0, '#a51d2a');
+  background.addColorStop(1, '#6e111b');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = 'white';
+  drawRoundedRect(ctx, 60, 130, width - 120, 400, 32);
+  ctx.fill();
+
+  // Logo and name
+  const logo = document.querySelector('.logo-img');
+  let brandX = 60;
+  if (logo && logo.complete && logo.naturalWidth) {
+    const logoHeight = 64;
+    const logoWidth = logo.naturalWidth * (logoHeight / logo.naturalHeight);
+    ctx.drawImage(logo, 60, 33, logoWidth, logoHeight);
+    brandX += logoWidth + 20;
+  }
+
+  ctx.fillStyle = 'white';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.font = `700 44px ${font}`;
+  ctx.fillText('Surely', brandX, 65);
+
+  ctx.textAlign = 'right';
+  ctx.font = `600 32px ${font}`;
+  ctx.fillText(`${getCountryFlag(code.country)} ${getPlatformText(code.platform)}`, width - 60, 65);
+
+  // Code details
+  ctx.textAlign = 'center';
+  const centerX = width / 2;
+
+  if (code.team1 && code.team2) {
+    ctx.fillStyle = '#333';
+    ctx.font = `600 40px ${font}`;
+    ctx.fillText(fitCanvasText(ctx, `${code.team1} vs ${code.team2}`, width - 200), centerX, 200);
+  }
+
+  ctx.fillStyle = '#666';
+  ctx.font = `500 26px ${font}`;
+  ctx.fillText(isPredictionCode(code) ? 'PREDICTION' : 'BOOKING CODE', centerX, 270);
+
+  ctx.fillStyle = '#a51d2a';
+  ctx.font = `800 ${getFittingFontSize(ctx, code.text || '', width - 200, 96, 40, font)}px ${font}`;
+  ctx.fillText(fitCanvasText(ctx, code.text || '', width - 200), centerX, 355);
+
+  if (code.odds) {
+    const oddsText = `${Math.round(code.odds * 100) / 100} odds`;
+    ctx.font = `700 34px ${font}`;
+    const pillWidth = ctx.measureText(oddsText).width + 60;
+
+    ctx.fillStyle = '#fdecee';
+    drawRoundedRect(ctx, centerX - pillWidth / 2, 425, pillWidth, 64, 32);
+    ctx.fill();
+
+    ctx.fillStyle = '#a51d2a';
+    ctx.fillText(oddsText, centerX, 457);
+  }
+
+  // Footer
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.font = `500 26px ${font}`;
+  ctx.fillText(`Get more codes at ${window.location.host || 'Surely'}`, centerX, 580);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to create share image'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Trace a rounded rectangle path
+ */
+function drawRoundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Largest font size (down to a minimum) at which text fits the width
+ */
+function getFittingFontSize(ctx, text, maxWidth, maxSize, minSize, font) {
+  let size = maxSize;
+
+  while (size > minSize) {
+    ctx.font = `800 ${size}px ${font}`;
+    if (ctx.measureText(text).width <= maxWidth) break;
+    size -= 4;
+  }
+
+  return size;
+}
+
+/**
+ * Truncate text with an ellipsis so it fits the width in the current font
+ */
+function fitCanvasText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+
+  let truncated = text;
+  while (truncated.length > 0 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+    truncated = truncated.slice(0, -1);
+  }
+
+  return `${truncated}…`;
+}
@@ -66,6 +66,9 @@ async function initializeSubscriptionPage() {
     // Step 3: Display plans
     displayPricingPlans();
 
+    // Step 4: Open the plan preselected from elsewhere (e.g. ?plan=monthly)
+    preselectPlanFromURL();
+
   } catch (error) {
     console.error('Failed to initialize subscription page:', error);
     showAlert('Failed to load pricing information. Please try again.', 'error');
@@ -80,7 +83,7 @@ async function fetchPricing(countryCode) {
     showLoading(true);
 
     const endpoint = `${CONFIG.ENDPOINTS.PAYMENTS.PRICING}?country_code=${countryCode}`;
-    const response = await apiService.get(endpoint, false);
+    const response = await apiService.get(endpoint, false, { cache: true });
 
     if (response.success && response.data) {
       pricingData = response.data;
@@ -98,7 +101,7 @@ async function fetchPricing(countryCode) {
       console.log('Retrying with default country...');
       currentCountry = CONFIG.DEFAULT_COUNTRY;
       const endpoint = `${CONFIG.ENDPOINTS.PAYMENTS.PRICING}?country_code=${CONFIG.DEFAULT_COUNTRY}`;
-      const response = await apiService.get(endpoint, false);
+      const response = await apiService.get(endpoint, false, { cache: true });
       
       if (response.success && response.data) {
         pricingData = response.data;
@@ -214,6 +217,22 @@ function displayPricingPlans() {
   document.getElementById('pricing-loading').classList.add('hidden');
 }
 
+/**
+ * Preselect a plan passed in the URL
+ */
+function preselectPlanFromURL() {
+  const plan = new URLSearchParams(window.location.search).get('plan');
+  if (!plan || !pricingData?.plans?.[plan]) return;
+
+  // Nothing to preselect if the user already has this plan
+  if (currentSubscription?.active && currentSubscription.plan === plan) return;
+
+  // Skip while a payment redirect is being verified
+  if (!document.getElementById('payment-status-container').classList.contains('hidden')) return;
+
+  showPaymentTypeModal(plan);
+}
+
 /**
  * Show payment type selection modal
  */
@@ -302,11 +321,12 @@ async function initiatePayment(plan, enableAutoRenew = true) {
     console.log('Initiating payment with:', requestBody);
     console.log('Auth token present:', !!securityManager.getToken());
 
-    // Make API call with explicit auth
+    // Make API call with explicit auth; the idempotency key stops a retried request creating a second payment
     const response = await apiService.post(
       CONFIG.ENDPOINTS.PAYMENTS.INITIATE,
       requestBody,
-      true // Include authentication
+      true, // Include authentication
+      { idempotencyKey: true }
     );
 
     console.log('Payment initiation response:', response);
@@ -366,7 +386,7 @@ async function initiatePayment(plan, enableAutoRenew = true) {
     }
     
     // If it's a 401/403, suggest re-login
-    if (error.message && (error.message.includes('401') || error.message.includes('403') || error.message.includes('Unauthorized'))) {
+    if (error instanceof AuthError) {
       errorMessage = 'Your session has expired. Please login again.';
       showAlert(errorMessage, 'error');
       setTimeout(() => {
@@ -375,10 +395,41 @@ async function initiatePayment(plan, enableAutoRenew = true) {
       return;
     }
     
+    // List each rejected field (plan, country, payment type)
+    if (error instanceof ValidationError && Object.keys(error.fieldErrors).length > 0) {
+      showPaymentFieldErrors(error);
+      return;
+    }
+    
     showAlert(errorMessage, 'error');
   }
 }
 
+/**
+ * Show per-field payment validation errors
+ */
+function showPaymentFieldErrors(error) {
+  const labels = {
+    plan: 'Plan',
+    country_code: 'Country',
+    enable_auto_renew: 'Payment type'
+  };
+  
+  const items = Object.entries(error.fieldErrors).map(([field, message]) => `
+    <li><strong>${securityManager.sanitizeHTML(labels[field] || field)}:</strong> ${securityManager.sanitizeHTML(message)}</li>
+  `).join('');
+  
+  const container = document.getElementById('alert-container');
+  container.innerHTML = `
+    <div class="alert alert-error">
+      ${securityManager.sanitizeHTML(error.message || 'Failed to initiate payment.')}
+      <ul class="alert-field-errors">${items}</ul>
+    </div>
+  `;
+  
+  container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
 /**
  * Handle Payment Redirect
  */
@@ -430,6 +481,7 @@ async function verifyPaymentStatus(reference) {
       const status = response.data.status;
       
       if (status === 'success') {
+        apiService.invalidateCache(CONFIG.ENDPOINTS.PAYMENTS.ME);
         displayPaymentSuccess(response.data);
         sessionStorage.removeItem('pending_payment_reference');
         sessionStorage.removeItem('pending_payment_plan');
@@ -540,14 +592,12 @@ async function loadCurrentSubscription() {
   try {
     container.innerHTML = '<div class="skeleton" style="height: 200px;"></div>';
 
-    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME, true);
+    const response = await apiService.get(CONFIG.ENDPOINTS.PAYMENTS.ME, true, {
+      cache: true,
+      onUpdate: showCurrentSubscription
+    });
 
-    if (response.success && response.data) {
-      currentSubscription = response.data;
-      displaySubscriptionStatus(response.data);
-    } else {
-      displayNoSubscription();
-    }
+    showCurrentSubscription(response);
 
   } catch (error) {
     console.error('Failed to load subscription status:', error);
@@ -555,6 +605,18 @@ async function loadCurrentSubscription() {
   }
 }
 
+/**
+ * Show a /payments/me response
+ */
+function showCurrentSubscription(response) {
+  if (response.success && response.data) {
+    currentSubscription = response.data;
+    displaySubscriptionStatus(response.data);
+  } else {
+    displayNoSubscription();
+  }
+}
+
 /**
  * Display subscription status with animations and cancel button
  */
@@ -698,10 +760,12 @@ async function cancelSubscription() {
     const response = await apiService.post(
       CONFIG.ENDPOINTS.PAYMENTS.CANCEL || '/payments/cancel',
       {},
-      true // Requires authentication
+      true, // Requires authentication
+      { idempotencyKey: true }
     );
 
     if (response.success) {
+      apiService.invalidateCache(CONFIG.ENDPOINTS.PAYMENTS.ME);
       showAlert('Subscription canceled successfully. You will have access until the end of your billing period.', 'success');
       
       // Reload subscription status after 1 second
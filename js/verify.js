@@ -0,0 +1,259 @@
+/**
+ * Verify Page JavaScript
+ * Handles OTP email/phone verification after registration or from the profile page
+ */
+
+const verifyForm = document.getElementById('verify-form');
+const verifyBtn = document.getElementById('verify-btn');
+const btnText = document.getElementById('btn-text');
+const btnLoading = document.getElementById('btn-loading');
+
+const urlParams = new URLSearchParams(window.location.search);
+const verifySource = urlParams.get('source') || 'register';
+
+let otpChannel = urlParams.get('channel') === 'phone' ? 'phone' : 'email';
+let otpIdentifier = null;
+let countdownInterval = null;
+
+// Page load
+document.addEventListener('DOMContentLoaded', async () => {
+  initOTPInputs('otp-inputs', handleVerify);
+
+  verifyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await handleVerify(getOTPValue('otp-inputs'));
+  });
+
+  document.getElementById('resend-btn').addEventListener('click', sendCode);
+  document.getElementById('switch-channel-btn').addEventListener('click', switchChannel);
+  document.getElementById('skip-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    finishVerification();
+  });
+
+  setupChannel();
+
+  if (!otpIdentifier) {
+    showAlert('We could not find an email or phone number to verify. Please login again.', 'error');
+    setVerifyDisabled(true);
+    return;
+  }
+
+  // Send a code on arrival unless one went out recently
+  if (otpService.getResendRemaining(otpIdentifier) === 0) {
+    await sendCode();
+  } else {
+    startResendCountdown();
+    updateAttemptsText();
+  }
+});
+
+/**
+ * Resolve the identifier for the active channel
+ */
+function setupChannel() {
+  const user = authService.getCurrentUser() || {};
+  const email = urlParams.get('email') || user.email || '';
+  const phone = urlParams.get('phone') || user.phone || user.phoneNumber || '';
+
+  if (otpChannel === 'phone' && !phone) {
+    otpChannel = 'email';
+  }
+
+  otpIdentifier = otpChannel === 'phone' ? phone : email;
+  document.getElementById('otp-target').textContent = otpIdentifier || 'your email';
+
+  // Offer the other channel only when we have it
+  const switchBtn = document.getElementById('switch-channel-btn');
+  const alternative = otpChannel === 'phone' ? email : phone;
+  switchBtn.textContent = otpChannel === 'phone' ? 'Send to email instead' : 'Send to phone instead';
+  switchBtn.classList.toggle('hidden', !alternative);
+}
+
+/**
+ * Switch between email and phone verification
+ */
+async function switchChannel() {
+  otpChannel = otpChannel === 'phone' ? 'email' : 'phone';
+  clearOTPInputs('otp-inputs');
+  clearErrors();
+  setupChannel();
+
+  if (otpService.getResendRemaining(otpIdentifier) === 0) {
+    await sendCode();
+  } else {
+    startResendCountdown();
+    updateAttemptsText();
+  }
+}
+
+/**
+ * Send (or resend) the verification code
+ */
+async function sendCode() {
+  clearAlerts();
+  clearErrors();
+
+  try {
+    await otpService.sendOTP(otpIdentifier, otpChannel);
+    showAlert(`A verification code has been sent to ${otpIdentifier}`, 'success');
+    setVerifyDisabled(false);
+    clearOTPInputs('otp-inputs');
+  } catch (error) {
+    console.error('Failed to send OTP:', error);
+    showAlert(error.message || 'Failed to send verification code. Please try again.', 'error');
+  } finally {
+    startResendCountdown();
+    updateAttemptsText();
+  }
+}
+
+/**
+ * Verify the entered code
+ */
+async function handleVerify(code) {
+  if (verifyBtn.disabled) return;
+
+  clearAlerts();
+  clearErrors();
+
+  if (code.length !== otpService.codeLength) {
+    showFieldError('otp', `Enter the ${otpService.codeLength}-digit code`);
+    return;
+  }
+
+  setLoading(true);
+
+  try {
+    await otpService.verifyOTP(otpIdentifier, code, otpChannel);
+    otpService.markUserVerified(otpChannel);
+
+    showAlert('Account verified! Redirecting...', 'success');
+    setTimeout(finishVerification, 1000);
+
+  } catch (error) {
+    console.error('OTP verification error:', error);
+
+    const attemptsLeft = otpService.getAttemptsRemaining(otpIdentifier);
+    if (attemptsLeft === 0) {
+      showFieldError('otp', 'Too many incorrect attempts. Please request a new code.');
+      setOTPInputsDisabled('otp-inputs', true);
+    } else if (error.message && /invalid|incorrect|expired/i.test(error.message)) {
+      showFieldError('otp', error.message);
+    } else {
+      showFieldError('otp', error.message || 'Verification failed. Please try again.');
+    }
+
+    clearOTPInputs('otp-inputs');
+    setLoading(false);
+    updateAttemptsText();
+  }
+}
+
+/**
+ * Leave the verification screen
+ */
+function finishVerification() {
+  if (verifySource === 'profile') {
+    window.location.href = './profile.html';
+  } else {
+    window.location.href = routerService.getRedirectPath();
+  }
+}
+
+/**
+ * Show resend countdown and enable the resend button when it reaches zero
+ */
+function startResendCountdown() {
+  const countdownEl = document.getElementById('resend-countdown');
+  const resendBtn = document.getElementById('resend-btn');
+
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
+  }
+
+  const tick = () => {
+    const remaining = otpService.getResendRemaining(otpIdentifier);
+    if (remaining > 0) {
+      countdownEl.textContent = `Resend code in ${remaining}s`;
+      resendBtn.classList.add('hidden');
+    } else {
+      countdownEl.textContent = "Didn't get a code?";
+      resendBtn.classList.remove('hidden');
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+  };
+
+  tick();
+  countdownInterval = setInterval(tick, 1000);
+}
+
+/**
+ * Update remaining attempts hint
+ */
+function updateAttemptsText() {
+  const attemptsEl = document.getElementById('otp-attempts');
+  const attemptsLeft = otpService.getAttemptsRemaining(otpIdentifier);
+
+  if (attemptsLeft < otpService.maxAttempts) {
+    attemptsEl.textContent = `${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} remaining`;
+  } else {
+    attemptsEl.textContent = '';
+  }
+
+  setVerifyDisabled(attemptsLeft === 0);
+}
+
+/**
+ * Disable or enable verification
+ */
+function setVerifyDisabled(disabled) {
+  verifyBtn.disabled = disabled;
+  setOTPInputsDisabled('otp-inputs', disabled);
+}
+
+/**
+ * Show error message under a form field
+ */
+function showFieldError(fieldId, message) {
+  const errorEl = document.getElementById(`${fieldId}-error`);
+  if (errorEl) {
+    errorEl.textContent = message;
+  }
+}
+
+/**
+ * Show alert message
+ */
+function showAlert(message, type = 'info') {
+  const container = document.getElementById('alert-container');
+  container.innerHTML = `
+    <div class="alert alert-${type}">
+      ${securityManager.sanitizeHTML(message)}
+    </div>
+  `;
+}
+
+/**
+ * Clear alert messages
+ */
+function clearAlerts() {
+  document.getElementById('alert-container').innerHTML = '';
+}
+
+/**
+ * Clear form errors
+ */
+function clearErrors() {
+  document.querySelectorAll('.form-error').forEach(el => el.textContent = '');
+}
+
+/**
+ * Set loading state
+ */
+function setLoading(loading) {
+  verifyBtn.disabled = loading;
+  btnText.classList.toggle('hidden', loading);
+  btnLoading.classList.toggle('hidden', !loading);
+}
@@ -1,50 +1,281 @@
 /**
  * Centralized API Service for Surely
- * Handles all HTTP requests with security, error handling, and retry logic
+ * Handles all HTTP requests with security, error handling, retry logic, an opt-in GET cache,
+ * coalescing of identical concurrent GETs, caller cancellation via AbortSignal and
+ * request/response/error interceptors
  * UPDATED: Improved error handling to prevent unwanted 404 redirects
  */
 
+/**
+ * Base class for failed API calls
+ * Carries the HTTP status (null when no response arrived), the server's request id and the raw body
+ */
+class ApiError extends Error {
+  constructor(message, { status = null, requestId = null, data = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.requestId = requestId;
+    this.data = data;
+  }
+}
+
+/**
+ * The server couldn't be reached
+ */
+class NetworkError extends ApiError {}
+
+/**
+ * The request took longer than CONFIG.API_TIMEOUT
+ */
+class TimeoutError extends ApiError {}
+
+/**
+ * 401 (session expired) or 403 (not allowed)
+ */
+class AuthError extends ApiError {}
+
+/**
+ * 400/422 - fieldErrors maps field names to their first message
+ */
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.fieldErrors = options.fieldErrors || {};
+  }
+}
+
+/**
+ * 5xx responses
+ */
+class ServerError extends ApiError {}
+
 class APIService {
   constructor() {
     this.baseURL = CONFIG.API_BASE_URL;
     this.timeout = CONFIG.API_TIMEOUT;
     this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1 second
+    this.retryDelay = 1000; // 1 second, doubled on each attempt
+    this.maxRetryDelay = 8000;
+    this.maxRetryAfter = 30000; // Don't wait longer than this for a server's Retry-After
+
+    // Methods that are safe to repeat - other requests are only retried with an Idempotency-Key
+    this.idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    // Opt-in GET cache - memory first, then sessionStorage so it survives page loads
+    this.cache = new Map();
+    this.cacheStoragePrefix = '__surely_api_cache__:';
+    this.cacheGeneration = 0;
+    this.revalidating = new Map();
+
+    // GETs currently on the wire, so identical concurrent calls share one request
+    this.inFlight = new Map();
+
+    // Interceptor chains - see use()
+    this.interceptors = { request: [], response: [], error: [] };
+    this.interceptorCount = 0;
+
+    // Default messages for failed responses without a server message
+    this.statusMessages = {
+      400: 'Invalid request. Please check your input.',
+      401: 'Session expired. Please login again.',
+      403: 'Access forbidden. You do not have permission.',
+      404: 'Resource not found.',
+      422: 'Validation failed. Please check your input.',
+      429: 'Too many requests. Please wait a moment and try again.',
+      500: 'Server error. Please try again later.'
+    };
+
+    this.registerDefaultInterceptors();
+
+    // Cached responses may belong to the previous user or an outdated profile
+    window.addEventListener('authStateChanged', () => this.invalidateCache());
+    window.addEventListener('profileUpdated', () => this.invalidateCache(CONFIG.ENDPOINTS.USER.PROFILE));
   }
 
   /**
-   * Build request headers
+   * Build JSON request headers
+   * CSRF and auth headers are added by the "auth" request interceptor
    */
-  buildHeaders(includeAuth = true, customHeaders = {}) {
-    const headers = {
+  buildHeaders(customHeaders = {}) {
+    return {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
-      'X-CSRF-Token': securityManager.getCSRFToken(),
       ...customHeaders
     };
+  }
 
-    // Add authentication token if required
-    if (includeAuth) {
-      const token = securityManager.getToken();
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
+  /**
+   * Add an interceptor
+   * - request: (config) => config - return { ...config, respondWith: response } to skip the network
+   * - response: (response, config) => response
+   * - error: (error, config) => return a response to recover, nothing to pass the error on, or throw a new one
+   * Lower order runs first. Named interceptors can be skipped per call with { skipInterceptors: ['name'] }
+   * (or true to skip them all). Returns a function that removes the interceptor
+   */
+  use(type, handler, options = {}) {
+    const chain = this.interceptors[type];
+    if (!chain) {
+      throw new Error(`Unknown interceptor type: ${type}`);
+    }
+
+    const interceptor = {
+      handler,
+      name: options.name || null,
+      order: options.order || 0,
+      index: this.interceptorCount++
+    };
+
+    chain.push(interceptor);
+    chain.sort((a, b) => a.order - b.order || a.index - b.index);
+
+    return () => {
+      const position = chain.indexOf(interceptor);
+      if (position !== -1) {
+        chain.splice(position, 1);
       }
+    };
+  }
+
+  /**
+   * Interceptors of a type that apply to a request
+   */
+  getInterceptors(type, config) {
+    const skip = config.skipInterceptors;
+    if (skip === true) return [];
+
+    const chain = [...this.interceptors[type]];
+    if (!Array.isArray(skip)) return chain;
+
+    return chain.filter(interceptor => !skip.includes(interceptor.name));
+  }
+
+  /**
+   * Built-in interceptors: auth headers, and token refresh with replay when the session has expired
+   * Credential checks (password, OTP) skip 'session' - their 401 means wrong credentials
+   */
+  registerDefaultInterceptors() {
+    this.use('request', (config) => {
+      config.headers['X-CSRF-Token'] = securityManager.getCSRFToken();
+
+      if (config.includeAuth) {
+        const token = securityManager.getToken();
+        if (token) {
+          config.headers['Authorization'] = `Bearer ${token}`;
+        }
+      }
+
+      return config;
+    }, { name: 'auth', order: -100 });
+
+    // Only requests that sent a token can be rescued by refreshing it (a failed login is a plain 401)
+    this.use('error', async (error, config) => {
+      if (error.status !== 401 || !config.headers['Authorization']) return;
+
+      // Concurrent 401s share one refresh, then each replays with the new token
+      if (!config.replayed && await authService.refreshToken()) {
+        return this.request({ ...config, replayed: true }, {
+          signal: config.signal,
+          skipInterceptors: config.skipInterceptors,
+          queueOffline: config.queueOffline
+        });
+      }
+
+      this.endSession();
+    }, { name: 'session', order: 100 });
+  }
+
+  /**
+   * Log out after a failed refresh
+   * Protected pages send the user to login and come back here afterwards
+   */
+  endSession() {
+    authService.expireSession();
+
+    // Pages without the router (home, codes) are all public
+    const currentPath = window.location.pathname;
+    const isProtectedRoute = typeof routerService !== 'undefined' && routerService.isProtectedRoute(currentPath);
+
+    if (isProtectedRoute) {
+      sessionStorage.setItem('redirectAfterLogin', currentPath + window.location.search);
+      window.location.href = './login.html';
     }
+  }
+
+  /**
+   * Run a request through the interceptor chains
+   * config: { endpoint, method, headers, body, includeAuth }; options: { signal, skipInterceptors, queueOffline }
+   * queueOffline lets the offline queue store the request if the network is down (see OfflineQueueService)
+   */
+  async request(config, options = {}) {
+    let requestConfig = {
+      ...config,
+      url: `${this.baseURL}${config.endpoint}`,
+      headers: { ...config.headers },
+      signal: options.signal,
+      skipInterceptors: options.skipInterceptors,
+      queueOffline: options.queueOffline
+    };
+
+    try {
+      for (const { handler } of this.getInterceptors('request', requestConfig)) {
+        requestConfig = (await handler(requestConfig)) || requestConfig;
+      }
+
+      let response = requestConfig.respondWith || await this.makeRequest(requestConfig.url, {
+        method: requestConfig.method,
+        headers: requestConfig.headers,
+        body: requestConfig.body,
+        signal: requestConfig.signal
+      });
 
-    return headers;
+      for (const { handler } of this.getInterceptors('response', requestConfig)) {
+        response = (await handler(response, requestConfig)) || response;
+      }
+
+      return response;
+
+    } catch (error) {
+      let currentError = error;
+
+      for (const { handler } of this.getInterceptors('error', requestConfig)) {
+        try {
+          const recovered = await handler(currentError, requestConfig);
+          if (recovered) return recovered;
+        } catch (replacedError) {
+          currentError = replacedError;
+        }
+      }
+
+      throw currentError;
+    }
   }
 
   /**
    * Make HTTP request with timeout and retry logic
    * UPDATED: Better error handling without auto-redirects
+   * Failed responses throw an error carrying status and data for the error interceptors
+   * Only idempotent requests are retried - see shouldRetry()
+   * options.signal lets the caller cancel; canceled requests reject with an AbortError and are not retried
    */
   async makeRequest(url, options = {}, retryCount = 0) {
+    const { signal: callerSignal, ...fetchOptions } = options;
+
+    if (callerSignal && callerSignal.aborted) {
+      throw this.createAbortError();
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const abortFromCaller = () => controller.abort();
+
+    if (callerSignal) {
+      callerSignal.addEventListener('abort', abortFromCaller);
+    }
 
     try {
       const response = await fetch(url, {
-        ...options,
+        ...fetchOptions,
         signal: controller.signal
       });
 
@@ -66,76 +297,192 @@ class APIService {
         }
       }
 
-      // Handle different status codes
-      if (response.status === 401) {
-        // Unauthorized - token might be expired
-        // Only clear token and redirect if we're on a protected page
-        const isProtectedRoute = window.location.pathname.includes('profile') || 
-                                 window.location.pathname.includes('subscription') ||
-                                 window.location.pathname.includes('dashboard');
-        
-        if (isProtectedRoute) {
-          securityManager.clearToken();
-          window.location.href = './login.html';
-        }
-        
-        throw new Error('Session expired. Please login again.');
-      }
-
-      if (response.status === 403) {
-        throw new Error(data?.message || 'Access forbidden. You do not have permission.');
-      }
-
-      if (response.status === 404) {
-        // Don't navigate to 404 page, just throw error
-        throw new Error(data?.message || 'Resource not found.');
-      }
-
-      if (response.status === 400) {
-        // Bad request - validation errors, etc.
-        throw new Error(data?.message || 'Invalid request. Please check your input.');
-      }
-
-      if (response.status === 422) {
-        // Unprocessable entity - validation errors
-        const errorMessage = data?.message || 'Validation failed. Please check your input.';
-        throw new Error(errorMessage);
-      }
+      if (!response.ok) {
+        // Don't navigate to an error page, just throw - callers render their own states
+        const requestId = response.headers.get('x-request-id') || response.headers.get('x-correlation-id');
+        const httpError = this.createHttpError(response.status, data, requestId);
 
-      if (response.status >= 500) {
-        // Server error - retry if attempts remaining
-        if (retryCount < this.retryAttempts) {
-          await this.delay(this.retryDelay * (retryCount + 1));
-          return this.makeRequest(url, options, retryCount + 1);
+        if (response.status === 429 || response.status === 503) {
+          httpError.retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
         }
-        throw new Error(data?.message || 'Server error. Please try again later.');
-      }
 
-      if (!response.ok) {
-        throw new Error(data?.message || `Request failed with status ${response.status}`);
+        throw httpError;
       }
 
-      return {
+      const result = {
         success: true,
         data: data,
         status: response.status
       };
 
+      // Answered by the service worker's offline copy rather than the server
+      const cachedAt = Number(response.headers.get('x-surely-cached-at'));
+      if (cachedAt) {
+        result.offline = true;
+        result.cachedAt = cachedAt;
+        window.dispatchEvent(new CustomEvent('offlineDataServed', { detail: { url, cachedAt } }));
+      }
+
+      return result;
+
     } catch (error) {
       clearTimeout(timeoutId);
       
       if (error.name === 'AbortError') {
-        throw new Error('Request timeout. Please check your connection.');
+        // Canceled by the caller rather than timed out
+        if (callerSignal && callerSignal.aborted) {
+          throw this.createAbortError();
+        }
+        throw new TimeoutError('Request timeout. Please check your connection.', { cause: error });
       }
 
-      // Network error - retry if attempts remaining
-      if (retryCount < this.retryAttempts && !error.message.includes('Session expired')) {
-        await this.delay(this.retryDelay * (retryCount + 1));
+      const failure = error instanceof ApiError || this.isAbortError(error)
+        ? error
+        : new NetworkError('Network error. Please check your connection and try again.', { cause: error });
+
+      if (retryCount < this.retryAttempts && this.shouldRetry(failure, fetchOptions)) {
+        await this.delay(this.getRetryDelay(retryCount, failure));
         return this.makeRequest(url, options, retryCount + 1);
       }
 
-      throw error;
+      throw failure;
+    } finally {
+      if (callerSignal) {
+        callerSignal.removeEventListener('abort', abortFromCaller);
+      }
+    }
+  }
+
+  /**
+   * Retry network errors, 5xx and 429 - but only for requests that are safe to send twice,
+   * so a payment POST is never repeated unless it carries an Idempotency-Key
+   */
+  shouldRetry(error, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const isIdempotent = this.idempotentMethods.includes(method) || Boolean(options.headers?.['Idempotency-Key']);
+    if (!isIdempotent) return false;
+
+    if (error.retryAfter > this.maxRetryAfter) return false;
+
+    return error instanceof NetworkError || error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Wait before the next attempt: the server's Retry-After when given,
+   * otherwise exponential backoff with jitter so clients don't retry in lockstep
+   */
+  getRetryDelay(retryCount, error) {
+    if (typeof error.retryAfter === 'number') {
+      return error.retryAfter;
+    }
+
+    const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** retryCount);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Retry-After header in ms - either delay-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Idempotency-Key header for a call made with { idempotencyKey: true } (or a key of its own)
+   * The key is fixed when the request is built, so retries and replays reuse it
+   */
+  getIdempotencyHeaders(options) {
+    if (!options.idempotencyKey) return {};
+
+    const key = options.idempotencyKey === true
+      ? (crypto.randomUUID ? crypto.randomUUID() : securityManager.generateCSRFToken())
+      : String(options.idempotencyKey);
+
+    return { 'Idempotency-Key': key };
+  }
+
+  /**
+   * Typed error for a failed response, using the server's message when it sends one
+   */
+  createHttpError(status, data, requestId = null) {
+    const options = {
+      status,
+      data,
+      requestId: requestId || data?.requestId || data?.request_id || null
+    };
+    const serverMessage = typeof data?.message === 'string' ? data.message : null;
+
+    if (status === 401) {
+      // An expired session always gets the same message
+      return new AuthError(this.statusMessages[401], options);
+    }
+
+    if (status === 403) {
+      return new AuthError(serverMessage || this.statusMessages[403], options);
+    }
+
+    if (status === 400 || status === 422) {
+      return new ValidationError(serverMessage || this.statusMessages[status], {
+        ...options,
+        fieldErrors: this.parseFieldErrors(data)
+      });
+    }
+
+    if (status >= 500) {
+      return new ServerError(serverMessage || this.statusMessages[500], options);
+    }
+
+    return new ApiError(serverMessage || this.statusMessages[status] || `Request failed with status ${status}`, options);
+  }
+
+  /**
+   * Field -> message map from the common validation error shapes:
+   * { errors: { email: 'Taken' } }, { errors: { email: ['Taken'] } } or { errors: [{ field|param|path, message|msg }] }
+   */
+  parseFieldErrors(data) {
+    const source = data?.errors || data?.fieldErrors || data?.field_errors || data?.details;
+    const fieldErrors = {};
+
+    if (Array.isArray(source)) {
+      source.forEach(item => {
+        const field = item?.field || item?.param || item?.path || item?.property;
+        const message = item?.message || item?.msg;
+        if (field && message && !fieldErrors[field]) {
+          fieldErrors[field] = String(message);
+        }
+      });
+    } else if (source && typeof source === 'object') {
+      Object.entries(source).forEach(([field, value]) => {
+        const message = Array.isArray(value) ? value[0] : (value?.message || value);
+        if (message && typeof message !== 'object') {
+          fieldErrors[field] = String(message);
+        }
+      });
     }
+
+    return fieldErrors;
+  }
+
+  /**
+   * Error thrown when the caller cancels a request
+   */
+  createAbortError() {
+    return new DOMException('Request canceled', 'AbortError');
+  }
+
+  /**
+   * Check whether an error came from the caller canceling the request
+   */
+  isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
   }
 
   /**
@@ -147,82 +494,276 @@ class APIService {
 
   /**
    * GET request
+   * Pass { cache: true } (or { cache: { ttl } }) to use the response cache. Stale responses are
+   * returned straight away and refreshed in the background; onUpdate gets the refreshed response if it changed.
+   * Pass { signal } to cancel the call and { skipInterceptors } to opt out of interceptors
    */
-  async get(endpoint, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = this.buildHeaders(includeAuth);
+  async get(endpoint, includeAuth = true, options = {}) {
+    if (options.cache) {
+      return this.cachedGet(endpoint, includeAuth, options);
+    }
+
+    return this.fetchGet(endpoint, includeAuth, options);
+  }
 
-    return this.makeRequest(url, {
-      method: 'GET',
-      headers
+  /**
+   * Uncached GET, shared with any identical GET already in flight
+   * The request is only aborted once every caller sharing it has canceled
+   */
+  fetchGet(endpoint, includeAuth = true, options = {}) {
+    const { signal, skipInterceptors } = options;
+    const key = this.getInFlightKey(endpoint, includeAuth, skipInterceptors);
+    let shared = this.inFlight.get(key);
+
+    if (!shared) {
+      const controller = new AbortController();
+
+      shared = { controller, callers: 0 };
+      shared.promise = this.request({
+        endpoint,
+        method: 'GET',
+        headers: this.buildHeaders(),
+        includeAuth
+      }, {
+        signal: controller.signal,
+        skipInterceptors
+      }).finally(() => {
+        if (this.inFlight.get(key) === shared) {
+          this.inFlight.delete(key);
+        }
+      });
+
+      this.inFlight.set(key, shared);
+    }
+
+    shared.callers += 1;
+    if (!signal) {
+      return shared.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.callers -= 1;
+        if (shared.callers === 0) {
+          shared.controller.abort();
+          this.inFlight.delete(key);
+        }
+        reject(this.createAbortError());
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
     });
   }
 
   /**
-   * POST request
+   * In-flight key - calls that opt out of different interceptors don't run the same request
    */
-  async post(endpoint, data = {}, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = this.buildHeaders(includeAuth);
+  getInFlightKey(endpoint, includeAuth, skipInterceptors) {
+    const key = this.getCacheKey(endpoint, includeAuth);
+
+    if (skipInterceptors === true) return `${key} skip:*`;
+    if (Array.isArray(skipInterceptors) && skipInterceptors.length > 0) {
+      return `${key} skip:${[...skipInterceptors].sort().join(',')}`;
+    }
+
+    return key;
+  }
 
+  /**
+   * GET through the cache (stale-while-revalidate)
+   */
+  async cachedGet(endpoint, includeAuth, { cache, onUpdate, signal, skipInterceptors }) {
+    const key = this.getCacheKey(endpoint, includeAuth);
+    const ttl = (typeof cache === 'object' && cache.ttl) || this.getCacheTTL(endpoint);
+    const entry = this.readCache(key);
+
+    if (entry) {
+      const age = Date.now() - entry.storedAt;
+
+      if (age < ttl) {
+        return { ...entry.response, cached: true };
+      }
+
+      if (age < CONFIG.API_CACHE_MAX_STALE) {
+        this.revalidate(key, endpoint, includeAuth, entry, onUpdate);
+        return { ...entry.response, cached: true, stale: true };
+      }
+    }
+
+    const generation = this.cacheGeneration;
+    const response = await this.fetchGet(endpoint, includeAuth, { signal, skipInterceptors });
+
+    // Skip the write if the cache was invalidated while the request was in flight,
+    // and don't let an offline copy pass for a fresh response
+    if (generation === this.cacheGeneration && !response.offline) {
+      this.writeCache(key, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Refresh a stale entry in the background, once per key
+   */
+  revalidate(key, endpoint, includeAuth, entry, onUpdate) {
+    if (this.revalidating.has(key)) {
+      if (onUpdate) this.revalidating.get(key).push(onUpdate);
+      return;
+    }
+
+    const listeners = onUpdate ? [onUpdate] : [];
+    const generation = this.cacheGeneration;
+    this.revalidating.set(key, listeners);
+
+    this.fetchGet(endpoint, includeAuth)
+      .then(response => {
+        if (generation !== this.cacheGeneration || response.offline) return;
+
+        this.writeCache(key, response);
+
+        if (JSON.stringify(response.data) !== JSON.stringify(entry.response.data)) {
+          listeners.forEach(listener => listener(response));
+        }
+      })
+      .catch(error => console.error(`Background refresh of ${endpoint} failed:`, error))
+      .finally(() => this.revalidating.delete(key));
+  }
+
+  /**
+   * Cache key - authenticated and public responses are kept apart
+   */
+  getCacheKey(endpoint, includeAuth) {
+    return `${includeAuth ? 'auth' : 'public'} ${endpoint}`;
+  }
+
+  /**
+   * TTL for an endpoint (query string ignored)
+   */
+  getCacheTTL(endpoint) {
+    const path = endpoint.split('?')[0];
+    return CONFIG.API_CACHE_TTL[path] || CONFIG.API_CACHE_DEFAULT_TTL;
+  }
+
+  /**
+   * Read an entry from memory, falling back to sessionStorage
+   */
+  readCache(key) {
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    try {
+      const stored = sessionStorage.getItem(`${this.cacheStoragePrefix}${key}`);
+      if (stored) {
+        const entry = JSON.parse(stored);
+        this.cache.set(key, entry);
+        return entry;
+      }
+    } catch (error) {
+      console.error('Failed to read API cache:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a response in both tiers
+   */
+  writeCache(key, response) {
+    const entry = { response, storedAt: Date.now() };
+    this.cache.set(key, entry);
+
+    try {
+      sessionStorage.setItem(`${this.cacheStoragePrefix}${key}`, JSON.stringify(entry));
+    } catch (error) {
+      // Storage full or unavailable - the memory tier still works
+      console.error('Failed to write API cache:', error);
+    }
+  }
+
+  /**
+   * Drop cached responses for the given endpoints (and anything below them), or everything when called without arguments
+   */
+  invalidateCache(...endpoints) {
+    this.cacheGeneration += 1;
+
+    const matches = (key) => {
+      if (endpoints.length === 0) return true;
+      const endpoint = key.slice(key.indexOf(' ') + 1);
+      return endpoints.some(prefix => endpoint === prefix || endpoint.startsWith(`${prefix}?`) || endpoint.startsWith(`${prefix}/`));
+    };
+
+    [...this.cache.keys()].filter(matches).forEach(key => this.cache.delete(key));
+
+    try {
+      Object.keys(sessionStorage)
+        .filter(key => key.startsWith(this.cacheStoragePrefix) && matches(key.slice(this.cacheStoragePrefix.length)))
+        .forEach(key => sessionStorage.removeItem(key));
+    } catch (error) {
+      console.error('Failed to clear API cache:', error);
+    }
+  }
+
+  /**
+   * POST request
+   * Pass { idempotencyKey: true } for requests that must not run twice (payments) - this also makes them retryable
+   */
+  async post(endpoint, data = {}, includeAuth = true, options = {}) {
     // Sanitize data before sending
     const sanitizedData = securityManager.sanitizeObject(data);
 
-    return this.makeRequest(url, {
+    return this.request({
+      endpoint,
       method: 'POST',
-      headers,
-      body: JSON.stringify(sanitizedData)
-    });
+      headers: this.buildHeaders(this.getIdempotencyHeaders(options)),
+      body: JSON.stringify(sanitizedData),
+      includeAuth
+    }, options);
   }
 
   /**
    * PUT request
    */
-  async put(endpoint, data = {}, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = this.buildHeaders(includeAuth);
-
+  async put(endpoint, data = {}, includeAuth = true, options = {}) {
     const sanitizedData = securityManager.sanitizeObject(data);
 
-    return this.makeRequest(url, {
+    return this.request({
+      endpoint,
       method: 'PUT',
-      headers,
-      body: JSON.stringify(sanitizedData)
-    });
+      headers: this.buildHeaders(),
+      body: JSON.stringify(sanitizedData),
+      includeAuth
+    }, options);
   }
 
   /**
    * PATCH request (JSON)
    */
-  async patch(endpoint, data = {}, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = this.buildHeaders(includeAuth);
-
+  async patch(endpoint, data = {}, includeAuth = true, options = {}) {
     const sanitizedData = securityManager.sanitizeObject(data);
 
-    return this.makeRequest(url, {
+    return this.request({
+      endpoint,
       method: 'PATCH',
-      headers,
-      body: JSON.stringify(sanitizedData)
-    });
+      headers: this.buildHeaders(this.getIdempotencyHeaders(options)),
+      body: JSON.stringify(sanitizedData),
+      includeAuth
+    }, options);
   }
 
   /**
    * PATCH request with form data (for password updates, etc.)
    * Matches mobile app's form-based PATCH requests
    */
-  async patchForm(endpoint, data = {}, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const token = securityManager.getToken();
-    
-    const headers = {
-      'X-CSRF-Token': securityManager.getCSRFToken()
-    };
-
-    if (includeAuth && token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-
+  async patchForm(endpoint, data = {}, includeAuth = true, options = {}) {
     // Build URL-encoded form data
     const formData = new URLSearchParams();
     for (const [key, value] of Object.entries(data)) {
@@ -231,53 +772,43 @@ class APIService {
       }
     }
 
-    return this.makeRequest(url, {
+    return this.request({
+      endpoint,
       method: 'PATCH',
       headers: {
-        ...headers,
         'Content-Type': 'application/x-www-form-urlencoded'
       },
-      body: formData.toString()
-    });
+      body: formData.toString(),
+      includeAuth
+    }, options);
   }
 
   /**
    * DELETE request
    */
-  async delete(endpoint, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = this.buildHeaders(includeAuth);
-
-    return this.makeRequest(url, {
+  async delete(endpoint, includeAuth = true, options = {}) {
+    return this.request({
+      endpoint,
       method: 'DELETE',
-      headers
-    });
+      headers: this.buildHeaders(),
+      includeAuth
+    }, options);
   }
 
   /**
    * Upload file (multipart/form-data)
    */
-  async upload(endpoint, formData, includeAuth = true) {
-    const url = `${this.baseURL}${endpoint}`;
-    const token = securityManager.getToken();
-    
-    const headers = {
-      'X-CSRF-Token': securityManager.getCSRFToken()
-    };
-
-    if (includeAuth && token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-
+  async upload(endpoint, formData, includeAuth = true, options = {}) {
     // Don't set Content-Type for FormData - browser will set it with boundary
-
-    return this.makeRequest(url, {
+    return this.request({
+      endpoint,
       method: 'POST',
-      headers,
-      body: formData
-    });
+      headers: {},
+      body: formData,
+      includeAuth
+    }, options);
   }
 }
 
 // Export singleton instance
-const apiService = new APIService();
\ No newline at end of file
+const apiService = new APIService();
@@ -6,7 +6,16 @@
 class AuthService {
   constructor() {
     this.currentUser = null;
+    this.refreshPromise = null;
     this.loadCurrentUser();
+
+    // A profile change made offline was rejected when replayed - the local copy is wrong, reload it
+    window.addEventListener('offlineQueueSynced', (e) => {
+      const profileRejected = e.detail.failed.some(entry => entry.endpoint.startsWith(CONFIG.ENDPOINTS.USER.UPDATE));
+      if (profileRejected) {
+        this.reloadCurrentUser();
+      }
+    });
   }
 
   /**
@@ -23,7 +32,7 @@ class AuthService {
 
       // Try to fetch from API using /user/me endpoint
       try {
-        const response = await apiService.get(CONFIG.ENDPOINTS.USER.PROFILE);
+        const response = await apiService.get(CONFIG.ENDPOINTS.USER.PROFILE, true, { cache: true });
         if (response.success && response.data) {
           this.currentUser = response.data;
           this.cacheUser(this.currentUser);
@@ -40,7 +49,7 @@ class AuthService {
         }
         
         // Only clear token if it's actually an auth error
-        if (error.message && error.message.includes('Session expired')) {
+        if (error instanceof AuthError && error.status === 401) {
           securityManager.clearToken();
         }
       }
@@ -48,6 +57,23 @@ class AuthService {
     return null;
   }
 
+  /**
+   * Fetch the user from the API again, replacing the stored copy
+   */
+  async reloadCurrentUser() {
+    this.clearCachedUser();
+    apiService.invalidateCache(CONFIG.ENDPOINTS.USER.PROFILE);
+
+    const user = await this.loadCurrentUser();
+    if (user) {
+      window.dispatchEvent(new CustomEvent('profileUpdated', {
+        detail: { user }
+      }));
+    }
+
+    return user;
+  }
+
   /**
    * Cache user data in sessionStorage
    */
@@ -83,6 +109,18 @@ class AuthService {
     }
   }
 
+  /**
+   * Clear per-user session data left behind by other pages
+   */
+  clearSessionData() {
+    try {
+      ['redirectAfterLogin', 'pending_payment_reference', 'pending_payment_plan', '__surely_otp__']
+        .forEach(key => sessionStorage.removeItem(key));
+    } catch (error) {
+      console.error('Failed to clear session data:', error);
+    }
+  }
+
   /**
    * Register new user
    */
@@ -215,6 +253,7 @@ class AuthService {
       securityManager.clearToken();
       this.currentUser = null;
       this.clearCachedUser();
+      this.clearSessionData();
 
       // Dispatch custom event
       window.dispatchEvent(new CustomEvent('authStateChanged', {
@@ -235,6 +274,7 @@ class AuthService {
       securityManager.clearToken();
       this.currentUser = null;
       this.clearCachedUser();
+      this.clearSessionData();
       
       const currentPath = window.location.pathname;
       if (currentPath.includes('/pages/')) {
@@ -245,6 +285,20 @@ class AuthService {
     }
   }
 
+  /**
+   * Drop the local session after the token could not be refreshed
+   * Unlike logout() this doesn't call the API or navigate
+   */
+  expireSession() {
+    securityManager.clearToken();
+    this.currentUser = null;
+    this.clearCachedUser();
+
+    window.dispatchEvent(new CustomEvent('authStateChanged', {
+      detail: { user: null, authenticated: false }
+    }));
+  }
+
   /**
    * Get current user
    */
@@ -262,12 +316,41 @@ class AuthService {
     return securityManager.isAuthenticated() && this.getCurrentUser() !== null;
   }
 
+  /**
+   * Check if the current user's account is verified
+   * Only an explicit false counts as unverified - users cached without the flag (or from
+   * a backend that doesn't send it) aren't asked to verify again
+   */
+  isVerified() {
+    const user = this.getCurrentUser();
+    if (!user) return false;
+
+    const flag = user.isVerified ?? user.is_verified ?? user.verified ?? user.emailVerified;
+    return flag !== false;
+  }
+
   /**
    * Refresh authentication token
+   * Concurrent callers share one refresh request
+   */
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Call the refresh endpoint and store the new token
+   * Resolves true on success, false otherwise
    */
-  async refreshToken() {
+  async requestTokenRefresh() {
     try {
-      const response = await apiService.post(CONFIG.ENDPOINTS.AUTH.REFRESH);
+      // A 401 here means the refresh itself failed - don't try to refresh again
+      const response = await apiService.post(CONFIG.ENDPOINTS.AUTH.REFRESH, {}, true, { skipInterceptors: ['session'] });
       
       if (response.success && (response.data.token || response.data.access_token)) {
         const token = response.data.token || response.data.access_token;
@@ -286,6 +369,7 @@ class AuthService {
 
   /**
    * Update user profile
+   * Offline, the change is queued and applied locally straight away (response.queued is true)
    */
   async updateProfile(profileData) {
     try {
@@ -296,7 +380,9 @@ class AuthService {
 
       const response = await apiService.patch(
         `${CONFIG.ENDPOINTS.USER.UPDATE}/${userId}`,
-        profileData
+        profileData,
+        true,
+        { queueOffline: true }
       );
 
       if (response.success) {
@@ -319,6 +405,190 @@ class AuthService {
     }
   }
 
+  /**
+   * Check if an account exists for an email
+   * GET /user/exists?email=
+   */
+  async accountExists(email) {
+    const response = await apiService.get(
+      `${CONFIG.ENDPOINTS.USER.EXISTS}?email=${encodeURIComponent(email)}`,
+      false
+    );
+
+    if (response.success) {
+      const data = response.data;
+      return data === true || data?.exists === true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Reset password after OTP verification
+   * Logs the user in with the session returned by /user/verify, then sets the new password
+   */
+  async resetPassword(authData, newPassword, rememberMe = false) {
+    const passwordValidation = securityManager.validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      throw new Error('New password does not meet requirements');
+    }
+
+    const token = authData?.token || authData?.access_token;
+    if (!token) {
+      throw new Error('Reset session expired. Please request a new code.');
+    }
+
+    this.handleAuthSuccess({
+      token,
+      user: authData.user,
+      expiresIn: authData.expiresIn ?? authData.expires_in ?? 3600
+    }, rememberMe);
+
+    try {
+      // Verify response may not include the user - fetch it so we have a userId
+      if (!this.currentUser?.userId && !this.currentUser?.user_id) {
+        this.clearCachedUser();
+        await this.loadCurrentUser();
+      }
+
+      return await this.changePassword(null, newPassword);
+    } catch (error) {
+      // Don't leave a half-finished reset logged in - and let caches and the header know
+      this.expireSession();
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the current user's password
+   * POST /user/verify/password/{userId}
+   */
+  async verifyPassword(password) {
+    if (!password) {
+      throw new Error('Password is required');
+    }
+
+    const userId = this.currentUser?.userId || this.currentUser?.user_id;
+    if (!userId) {
+      throw new Error('User ID not found');
+    }
+
+    // A wrong password can come back as 401 - that's an answer, not an expired session
+    const response = await apiService.post(
+      `${CONFIG.ENDPOINTS.USER.VERIFY_PASSWORD}/${userId}`,
+      { password },
+      true,
+      { skipInterceptors: ['session'] }
+    );
+
+    // Treat anything but an explicit false/invalid as a match
+    const data = response.data;
+    return response.success && data !== false && data?.valid !== false && data?.verified !== false;
+  }
+
+  /**
+   * Delete the current user's account
+   * DELETE /user/delete/{userId}
+   */
+  async deleteAccount() {
+    const userId = this.currentUser?.userId || this.currentUser?.user_id;
+    if (!userId) {
+      throw new Error('User ID not found');
+    }
+
+    const response = await apiService.delete(`${CONFIG.ENDPOINTS.USER.DELETE}/${userId}`);
+
+    if (response.success) {
+      return response;
+    }
+
+    throw new Error('Account deletion failed');
+  }
+
+  /**
+   * Get the avatar image URL for a user, if one is set
+   */
+  getAvatarUrl(user = this.getCurrentUser()) {
+    if (!user) return null;
+    return user.avatarUrl || user.avatar_url || user.avatar || user.profileImage || null;
+  }
+
+  /**
+   * Initials shown in place of a missing avatar
+   * Names missing from the user are taken from the username ("Jane Doe" -> "JD")
+   */
+  getInitials(user = this.getCurrentUser()) {
+    const userName = user?.userName || user?.username || user?.user_name || '';
+    const nameParts = userName.split(' ');
+    const firstName = user?.firstName || user?.first_name || nameParts[0] || '';
+    const lastName = user?.lastName || user?.last_name || nameParts.slice(1).join(' ') || '';
+
+    if (firstName && lastName) {
+      return `${firstName.charAt(0)}${lastName.charAt(0)}`.toUpperCase();
+    }
+
+    const fallback = userName || user?.email;
+    return fallback ? fallback.substring(0, 2).toUpperCase() : '??';
+  }
+
+  /**
+   * Upload a new avatar image
+   * POST /user/avatar/{userId} (multipart)
+   */
+  async uploadAvatar(blob) {
+    const userId = this.currentUser?.userId || this.currentUser?.user_id;
+    if (!userId) {
+      throw new Error('User ID not found');
+    }
+
+    const formData = new FormData();
+    formData.append('avatar', blob, 'avatar.jpg');
+
+    const response = await apiService.upload(`${CONFIG.ENDPOINTS.USER.AVATAR}/${userId}`, formData);
+
+    if (response.success) {
+      const data = response.data || {};
+      const avatarUrl = data.avatarUrl || data.avatar_url || data.url || this.getAvatarUrl(data.user);
+      this.setAvatarUrl(avatarUrl);
+      return response;
+    }
+
+    throw new Error('Avatar upload failed');
+  }
+
+  /**
+   * Remove the current avatar
+   * DELETE /user/avatar/{userId}
+   */
+  async removeAvatar() {
+    const userId = this.currentUser?.userId || this.currentUser?.user_id;
+    if (!userId) {
+      throw new Error('User ID not found');
+    }
+
+    const response = await apiService.delete(`${CONFIG.ENDPOINTS.USER.AVATAR}/${userId}`);
+
+    if (response.success) {
+      this.setAvatarUrl(null);
+      return response;
+    }
+
+    throw new Error('Failed to remove avatar');
+  }
+
+  /**
+   * Store avatar URL on the cached user and notify listeners
+   */
+  setAvatarUrl(avatarUrl) {
+    const { avatar, avatar_url, profileImage, ...rest } = this.currentUser || {};
+    this.currentUser = { ...rest, avatarUrl: avatarUrl || null };
+    this.cacheUser(this.currentUser);
+
+    window.dispatchEvent(new CustomEvent('profileUpdated', {
+      detail: { user: this.currentUser }
+    }));
+  }
+
   /**
    * Change password
    */
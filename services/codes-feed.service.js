@@ -0,0 +1,131 @@
+/**
+ * Codes Feed Service for Surely
+ * Polls for new codes (or streams them over Server-Sent Events when CONFIG.CODES_STREAM_ENABLED is set)
+ * and pauses while the tab is hidden
+ */
+
+class CodesFeedService {
+  constructor() {
+    this.pollInterval = CONFIG.CODES_POLL_INTERVAL;
+    this.streamEnabled = CONFIG.CODES_STREAM_ENABLED;
+    this.listener = null;
+    this.eventSource = null;
+    this.pollTimer = null;
+    this.streamFailed = false;
+    this.running = false;
+
+    document.addEventListener('visibilitychange', () => {
+      if (!this.running) return;
+
+      if (document.hidden) {
+        this.disconnect();
+      } else {
+        // Catch up on anything published while the tab was hidden, then reconnect
+        this.poll();
+        this.connect();
+      }
+    });
+  }
+
+  /**
+   * Start the feed
+   * The listener receives arrays of codes - full lists from polling, single codes from the stream
+   */
+  start(listener) {
+    this.listener = listener;
+    this.running = true;
+
+    if (!document.hidden) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Stop the feed
+   */
+  stop() {
+    this.running = false;
+    this.disconnect();
+  }
+
+  /**
+   * Open the stream, or start polling if streaming isn't available
+   */
+  connect() {
+    this.disconnect();
+
+    if (!this.streamEnabled || !window.EventSource || this.streamFailed) {
+      this.startPolling();
+      return;
+    }
+
+    this.eventSource = new EventSource(`${CONFIG.API_BASE_URL}${CONFIG.ENDPOINTS.CODES.STREAM}`);
+
+    this.eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        const codes = Array.isArray(data) ? data : [data];
+        this.emit(codes);
+      } catch (error) {
+        console.error('Invalid codes stream message:', error);
+      }
+    };
+
+    this.eventSource.onerror = () => {
+      // The browser retries dropped streams itself - only give up once it has closed the connection
+      if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+        console.log('Codes stream unavailable, falling back to polling');
+        this.streamFailed = true;
+        this.connect();
+      }
+    };
+  }
+
+  /**
+   * Close the stream and stop polling
+   */
+  disconnect() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Poll on an interval
+   */
+  startPolling() {
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  /**
+   * Fetch the latest codes once
+   */
+  async poll() {
+    try {
+      const response = await apiService.get(CONFIG.ENDPOINTS.CODES.FREE, false);
+      if (response.success && Array.isArray(response.data)) {
+        this.emit(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to poll codes:', error);
+    }
+  }
+
+  /**
+   * Pass codes to the listener
+   */
+  emit(codes) {
+    if (this.running && this.listener && codes.length > 0) {
+      this.listener(codes);
+    }
+  }
+}
+
+// Export singleton instance
+const codesFeedService = new CodesFeedService();
@@ -0,0 +1,194 @@
+/**
+ * Ledger Service for Surely
+ * Personal record of codes the user played, their stakes and outcomes, kept on this device
+ */
+
+class LedgerService {
+  constructor() {
+    this.storeName = 'ledger';
+    this.outcomes = ['pending', 'won', 'lost', 'void'];
+  }
+
+  /**
+   * All ledger entries for the current user, newest first
+   */
+  async getAll() {
+    const userId = await localDB.resolveUserId();
+    if (!userId) return [];
+
+    const entries = await localDB.getAllForUser(this.storeName, userId);
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Record a bet placed with a code
+   */
+  async add(code, stake, outcome = 'pending') {
+    const userId = await localDB.resolveUserId();
+    if (!userId) {
+      throw new Error('Please login to track your bets');
+    }
+
+    this.validate(stake, outcome);
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      codeId: getCodeId(code),
+      text: code.text || '',
+      platform: code.platform || '',
+      country: code.country || '',
+      odds: parseFloat(code.odds) || 0,
+      stake: parseFloat(stake),
+      outcome,
+      createdAt: Date.now(),
+      settledAt: outcome === 'pending' ? null : Date.now()
+    };
+
+    await localDB.run(this.storeName, 'readwrite', store => store.put(entry));
+    this.notifyChange();
+    return entry;
+  }
+
+  /**
+   * Update an entry's stake or outcome
+   */
+  async update(entry, changes) {
+    const updated = { ...entry, ...changes };
+    this.validate(updated.stake, updated.outcome);
+
+    if (changes.outcome && changes.outcome !== entry.outcome) {
+      updated.settledAt = changes.outcome === 'pending' ? null : Date.now();
+    }
+
+    await localDB.run(this.storeName, 'readwrite', store => store.put(updated));
+    this.notifyChange();
+    return updated;
+  }
+
+  /**
+   * Delete an entry
+   */
+  async remove(entryId) {
+    await localDB.run(this.storeName, 'readwrite', store => store.delete(entryId));
+    this.notifyChange();
+  }
+
+  /**
+   * Delete every entry for the current user (e.g. on account deletion)
+   */
+  async clearUser() {
+    const entries = await this.getAll();
+    await localDB.deleteMany(this.storeName, entries.map(entry => entry.id));
+    this.notifyChange();
+  }
+
+  /**
+   * Validate stake and outcome
+   */
+  validate(stake, outcome) {
+    const amount = parseFloat(stake);
+    if (isNaN(amount) || amount <= 0) {
+      throw new Error('Enter a stake greater than 0');
+    }
+
+    if (!this.outcomes.includes(outcome)) {
+      throw new Error('Invalid outcome');
+    }
+  }
+
+  /**
+   * Amount returned by a settled entry
+   * Void bets return the stake; pending bets return nothing yet
+   */
+  getReturn(entry) {
+    if (entry.outcome === 'won') return entry.stake * entry.odds;
+    if (entry.outcome === 'void') return entry.stake;
+    return 0;
+  }
+
+  /**
+   * Totals for a group of entries - only settled bets count
+   */
+  summarize(entries) {
+    const settled = entries.filter(entry => entry.outcome !== 'pending');
+    const decided = settled.filter(entry => entry.outcome === 'won' || entry.outcome === 'lost');
+    const wins = decided.filter(entry => entry.outcome === 'won').length;
+
+    const staked = settled.reduce((total, entry) => total + entry.stake, 0);
+    const returned = settled.reduce((total, entry) => total + this.getReturn(entry), 0);
+    const profit = returned - staked;
+
+    return {
+      bets: entries.length,
+      settled: settled.length,
+      pending: entries.length - settled.length,
+      wins,
+      losses: decided.length - wins,
+      staked,
+      returned,
+      profit,
+      roi: staked > 0 ? (profit / staked) * 100 : 0,
+      hitRate: decided.length > 0 ? (wins / decided.length) * 100 : 0
+    };
+  }
+
+  /**
+   * Summaries grouped by a field (e.g. platform or country), biggest first
+   */
+  summarizeBy(entries, field) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+      const key = entry[field] || 'Unknown';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+
+    return [...groups.entries()]
+      .map(([key, group]) => ({ key, ...this.summarize(group) }))
+      .sort((a, b) => b.bets - a.bets);
+  }
+
+  /**
+   * CSV export of the given entries
+   */
+  toCSV(entries) {
+    const header = ['Date', 'Code', 'Platform', 'Country', 'Odds', 'Stake', 'Outcome', 'Return', 'Profit'];
+
+    const escape = (value) => {
+      const text = String(value ?? '');
+      // Quote fields with separators and stop spreadsheets treating text as formulas
+      const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+      return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+
+    const rows = entries.map(entry => {
+      const settled = entry.outcome !== 'pending';
+      const returned = this.getReturn(entry);
+      return [
+        new Date(entry.createdAt).toISOString(),
+        entry.text,
+        entry.platform,
+        entry.country,
+        entry.odds,
+        entry.stake.toFixed(2),
+        entry.outcome,
+        settled ? returned.toFixed(2) : '',
+        settled ? (returned - entry.stake).toFixed(2) : ''
+      ].map(escape).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Let open pages refresh their ledger views
+   */
+  notifyChange() {
+    window.dispatchEvent(new CustomEvent('ledgerChanged'));
+  }
+}
+
+// Export singleton instance
+const ledgerService = new LedgerService();
@@ -0,0 +1,138 @@
+/**
+ * Local Database Service for Surely
+ * Small promise wrapper around the app's IndexedDB database
+ */
+
+class LocalDBService {
+  constructor() {
+    this.dbName = '__surely_db__';
+    this.dbVersion = 3;
+    this.dbPromise = null;
+
+    // Every store is keyed per user and indexed by userId
+    this.stores = {
+      saved_codes: { keyPath: ['userId', 'codeId'] },
+      ledger: { keyPath: 'id' },
+      offline_queue: { keyPath: 'id' }
+    };
+  }
+
+  /**
+   * Open (and upgrade if needed) the database
+   */
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('Local storage is not supported in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(this.stores).forEach(([name, options]) => {
+            if (!db.objectStoreNames.contains(name)) {
+              const store = db.createObjectStore(name, options);
+              store.createIndex('userId', 'userId', { unique: false });
+            }
+          });
+        };
+
+        // Another tab still has an older version open - fail instead of waiting forever
+        let blocked = false;
+        request.onblocked = () => {
+          blocked = true;
+          reject(new Error('Surely is open in another tab. Close other tabs and reload to continue.'));
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+
+          // Opened after we gave up on it - a later openDB() starts over
+          if (blocked) {
+            db.close();
+            return;
+          }
+
+          // Step aside when a newer version of the app (in another tab) needs to upgrade
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against a store and resolve with its result once the transaction completes
+   */
+  async run(storeName, mode, buildRequest) {
+    const db = await this.openDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = buildRequest(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * All records for a user
+   */
+  getAllForUser(storeName, userId) {
+    return this.run(storeName, 'readonly', store => store.index('userId').getAll(userId));
+  }
+
+  /**
+   * Delete several records in one transaction
+   */
+  async deleteMany(storeName, keys) {
+    if (keys.length === 0) return;
+
+    await this.run(storeName, 'readwrite', store => {
+      keys.forEach(key => store.delete(key));
+      return null;
+    });
+  }
+
+  /**
+   * Current user's id, or null when logged out
+   */
+  getUserId() {
+    if (!securityManager.isAuthenticated()) return null;
+
+    const user = authService.getCurrentUser();
+    const userId = user?.userId || user?.user_id || user?.id;
+    return userId ? String(userId) : null;
+  }
+
+  /**
+   * Current user's id, loading the user first if only the token is stored
+   */
+  async resolveUserId() {
+    if (securityManager.isAuthenticated() && !authService.getCurrentUser()) {
+      await authService.loadCurrentUser();
+    }
+
+    return this.getUserId();
+  }
+}
+
+// Export singleton instance
+const localDB = new LocalDBService();
@@ -0,0 +1,157 @@
+/**
+ * Offline Queue Service for Surely
+ * Keeps mutations made without a connection (profile updates, ratings) in IndexedDB and replays them once back online
+ * Calls opt in with { queueOffline: true } - payments are never queued
+ */
+
+class OfflineQueueService {
+  constructor() {
+    this.storeName = 'offline_queue';
+    this.replaying = null;
+
+    // Failed opted-in requests are stored instead of rejected
+    apiService.use('error', (error, config) => this.queueFailedRequest(error, config), { name: 'offline-queue' });
+
+    window.addEventListener('online', () => this.replay());
+    window.addEventListener('authStateChanged', (e) => {
+      if (e.detail?.authenticated) this.replay();
+    });
+
+    // Changes left over from an earlier visit - wait for the page's own requests first
+    window.addEventListener('load', () => {
+      if (navigator.onLine) {
+        this.replay();
+      } else {
+        this.notifyChange().catch(error => console.error('Failed to read offline changes:', error));
+      }
+    });
+  }
+
+  /**
+   * Error interceptor: queue a request that couldn't reach the server and answer it as accepted
+   * Anything else (or a queue that can't be written) passes the original error on
+   */
+  async queueFailedRequest(error, config) {
+    if (!config.queueOffline || !(error instanceof NetworkError)) return;
+
+    const userId = localDB.getUserId();
+    if (!userId) return;
+
+    try {
+      await this.enqueue(config, userId);
+    } catch (queueError) {
+      console.error('Failed to queue offline request:', queueError);
+      return;
+    }
+
+    return {
+      success: true,
+      queued: true,
+      data: null,
+      status: 202
+    };
+  }
+
+  /**
+   * Store a request for the user
+   * Auth and CSRF headers are left out - they're added again with fresh values on replay
+   */
+  async enqueue(config, userId) {
+    const { Authorization, 'X-CSRF-Token': csrfToken, ...headers } = config.headers;
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      endpoint: config.endpoint,
+      method: config.method,
+      headers,
+      body: config.body,
+      includeAuth: config.includeAuth,
+      queuedAt: Date.now()
+    };
+
+    await localDB.run(this.storeName, 'readwrite', store => store.put(entry));
+    this.notifyChange().catch(error => console.error('Failed to read offline changes:', error));
+    return entry;
+  }
+
+  /**
+   * Queued requests for the current user, oldest first
+   */
+  async getAll() {
+    const userId = await localDB.resolveUserId();
+    if (!userId) return [];
+
+    const entries = await localDB.getAllForUser(this.storeName, userId);
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  /**
+   * Send queued requests in order - concurrent calls share one run
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.flush()
+        .catch(error => console.error('Failed to replay offline changes:', error))
+        .finally(() => {
+          this.replaying = null;
+        });
+    }
+
+    return this.replaying;
+  }
+
+  /**
+   * Replay until the queue is empty or the server can't be reached again
+   * Requests the server rejects are dropped and reported so the page can reload its data
+   */
+  async flush() {
+    const entries = await this.getAll();
+    if (entries.length === 0) return;
+
+    const synced = [];
+    const failed = [];
+
+    for (const entry of entries) {
+      try {
+        await apiService.request({
+          endpoint: entry.endpoint,
+          method: entry.method,
+          headers: { ...entry.headers },
+          body: entry.body,
+          includeAuth: entry.includeAuth
+        });
+        synced.push(entry);
+      } catch (error) {
+        // Still offline or logged out - keep this and everything after it for the next attempt
+        if (error instanceof NetworkError || error instanceof TimeoutError || error instanceof AuthError) break;
+
+        console.error(`Queued ${entry.method} ${entry.endpoint} was rejected:`, error);
+        failed.push(entry);
+      }
+    }
+
+    const done = [...synced, ...failed];
+    if (done.length === 0) return;
+
+    await localDB.deleteMany(this.storeName, done.map(entry => entry.id));
+    this.notifyChange().catch(error => console.error('Failed to read offline changes:', error));
+
+    window.dispatchEvent(new CustomEvent('offlineQueueSynced', {
+      detail: { synced, failed }
+    }));
+  }
+
+  /**
+   * Let open pages show how many changes are waiting
+   */
+  async notifyChange() {
+    const entries = await this.getAll();
+    window.dispatchEvent(new CustomEvent('offlineQueueChanged', {
+      detail: { pending: entries.length }
+    }));
+  }
+}
+
+// Export singleton instance
+const offlineQueueService = new OfflineQueueService();
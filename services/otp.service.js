@@ -0,0 +1,178 @@
+/**
+ * OTP Service for Surely
+ * Handles sending and verifying one-time passwords for email/phone verification
+ */
+
+class OTPService {
+  constructor() {
+    this.codeLength = 6;
+    this.maxAttempts = 5;
+    this.resendCooldown = 60; // seconds
+    this.storageKey = '__surely_otp__';
+  }
+
+  /**
+   * Read OTP state (last sent time, attempts) for an identifier
+   */
+  getState(identifier) {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey) || '{}');
+      return stored[identifier] || { sentAt: 0, attempts: 0 };
+    } catch (error) {
+      return { sentAt: 0, attempts: 0 };
+    }
+  }
+
+  /**
+   * Persist OTP state for an identifier
+   * Kept in sessionStorage so a page refresh can't reset the cooldown or attempt count
+   */
+  setState(identifier, state) {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey) || '{}');
+      stored[identifier] = state;
+      sessionStorage.setItem(this.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      console.error('Failed to store OTP state:', error);
+    }
+  }
+
+  /**
+   * Clear OTP state for an identifier
+   */
+  clearState(identifier) {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey) || '{}');
+      delete stored[identifier];
+      sessionStorage.setItem(this.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      console.error('Failed to clear OTP state:', error);
+    }
+  }
+
+  /**
+   * Seconds left before another code can be requested
+   */
+  getResendRemaining(identifier) {
+    const { sentAt } = this.getState(identifier);
+    const elapsed = Math.floor((Date.now() - sentAt) / 1000);
+    return Math.max(0, this.resendCooldown - elapsed);
+  }
+
+  /**
+   * Verification attempts left for the current code
+   */
+  getAttemptsRemaining(identifier) {
+    const { attempts } = this.getState(identifier);
+    return Math.max(0, this.maxAttempts - attempts);
+  }
+
+  /**
+   * Send OTP
+   * POST /otp/send
+   */
+  async sendOTP(identifier, channel = 'email', purpose = 'verification') {
+    if (!identifier) {
+      throw new Error(channel === 'phone' ? 'Phone number is required' : 'Email is required');
+    }
+
+    if (channel === 'email' && !securityManager.validateEmail(identifier)) {
+      throw new Error('Invalid email format');
+    }
+
+    const remaining = this.getResendRemaining(identifier);
+    if (remaining > 0) {
+      throw new Error(`Please wait ${remaining}s before requesting a new code`);
+    }
+
+    const response = await apiService.post(
+      CONFIG.ENDPOINTS.OTP.SEND,
+      {
+        [channel]: identifier,
+        channel,
+        purpose
+      },
+      securityManager.isAuthenticated()
+    );
+
+    if (response.success) {
+      // New code - reset the attempt counter
+      this.setState(identifier, { sentAt: Date.now(), attempts: 0 });
+      return response;
+    }
+
+    throw new Error('Failed to send verification code');
+  }
+
+  /**
+   * Verify OTP
+   * POST /user/verify
+   */
+  async verifyOTP(identifier, code, channel = 'email') {
+    if (!code || !new RegExp(`^\\d{${this.codeLength}}$`).test(code)) {
+      throw new Error(`Enter the ${this.codeLength}-digit code`);
+    }
+
+    if (this.getAttemptsRemaining(identifier) === 0) {
+      throw new Error('Too many incorrect attempts. Please request a new code.');
+    }
+
+    // A wrong code can come back as 401 - don't treat it as an expired session
+    let response;
+    try {
+      response = await apiService.post(
+        CONFIG.ENDPOINTS.OTP.VERIFY,
+        {
+          [channel]: identifier,
+          otp: code
+        },
+        securityManager.isAuthenticated(),
+        { skipInterceptors: ['session'] }
+      );
+    } catch (error) {
+      // Only the server rejecting the code uses up an attempt - not a dropped connection, timeout or server fault
+      if (error instanceof ApiError && error.status >= 400 && error.status < 500 && error.status !== 429) {
+        this.recordFailedAttempt(identifier);
+      }
+      throw error;
+    }
+
+    if (response.success) {
+      this.clearState(identifier);
+      return response;
+    }
+
+    this.recordFailedAttempt(identifier);
+    throw new Error('Verification failed');
+  }
+
+  /**
+   * Count a rejected code against the attempt limit
+   */
+  recordFailedAttempt(identifier) {
+    const state = this.getState(identifier);
+    this.setState(identifier, { ...state, attempts: state.attempts + 1 });
+  }
+
+  /**
+   * Mark the cached user as verified after a successful OTP check
+   */
+  markUserVerified(channel = 'email') {
+    const user = authService.getCurrentUser();
+    if (!user) return;
+
+    const updates = channel === 'phone'
+      ? { isPhoneVerified: true }
+      : { isVerified: true, is_verified: true };
+
+    authService.currentUser = { ...user, ...updates };
+    authService.cacheUser(authService.currentUser);
+
+    window.dispatchEvent(new CustomEvent('profileUpdated', {
+      detail: { user: authService.currentUser }
+    }));
+  }
+}
+
+// Export singleton instance
+const otpService = new OTPService();
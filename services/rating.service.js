@@ -0,0 +1,176 @@
+/**
+ * Rating Service for Surely
+ * Submits 1-5 star ratings and remembers which codes each user has rated on this device
+ */
+
+class RatingService {
+  constructor() {
+    this.storageKey = '__surely_ratings__';
+
+    // Averages before an optimistic rating on this page, so a later rejection can restore them
+    this.optimistic = new Map();
+
+    // A rating sent offline was rejected when replayed - unlock it again
+    window.addEventListener('offlineQueueSynced', (e) => {
+      e.detail.failed.forEach(entry => {
+        const codeId = this.getRatedCodeId(entry.endpoint);
+        if (codeId) this.revert(codeId);
+      });
+    });
+  }
+
+  /**
+   * Code id from a rating endpoint (/codes/{id}/rate), or null for other endpoints
+   */
+  getRatedCodeId(endpoint) {
+    const prefix = `${CONFIG.ENDPOINTS.CODES.RATE}/`;
+    if (!endpoint.startsWith(prefix) || !endpoint.endsWith('/rate')) return null;
+
+    return decodeURIComponent(endpoint.slice(prefix.length, -'/rate'.length));
+  }
+
+  /**
+   * Clear the local rating and tell open pages to restore the code's average
+   * previous is only known when the optimistic update happened on this page
+   */
+  revert(codeId) {
+    this.setUserRating(codeId, null);
+
+    const previous = this.optimistic.get(String(codeId)) || null;
+    this.optimistic.delete(String(codeId));
+
+    window.dispatchEvent(new CustomEvent('ratingReverted', {
+      detail: { codeId: String(codeId), previous }
+    }));
+  }
+
+  /**
+   * All stored ratings, keyed by user then code
+   */
+  getStore() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the ratings store
+   */
+  setStore(store) {
+    localStorage.setItem(this.storageKey, JSON.stringify(store));
+  }
+
+  /**
+   * The current user's rating for a code, or null if they haven't rated it
+   */
+  getUserRating(codeId) {
+    const userId = localDB.getUserId();
+    if (!userId) return null;
+
+    return this.getStore()[userId]?.[String(codeId)] || null;
+  }
+
+  /**
+   * Record (or clear, with null) the current user's rating
+   */
+  setUserRating(codeId, rating) {
+    const userId = localDB.getUserId();
+    if (!userId) return;
+
+    const store = this.getStore();
+    store[userId] = store[userId] || {};
+
+    if (rating) {
+      store[userId][String(codeId)] = rating;
+    } else {
+      delete store[userId][String(codeId)];
+    }
+
+    this.setStore(store);
+  }
+
+  /**
+   * Number of ratings behind a code's average
+   */
+  getRatingCount(code) {
+    const count = parseInt(code.ratingCount ?? code.ratingsCount ?? code.votes, 10);
+    if (!isNaN(count)) return count;
+
+    // Assume a displayed average comes from at least one rating
+    return code.rating ? 1 : 0;
+  }
+
+  /**
+   * Validate the rating and update the code in place before the server confirms
+   * Returns the new { rating, ratingCount }
+   */
+  applyOptimistic(code, rating) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('Rating must be between 1 and 5 stars');
+    }
+
+    const codeId = getCodeId(code);
+    if (this.getUserRating(codeId)) {
+      throw new Error('You have already rated this code');
+    }
+
+    const count = this.getRatingCount(code);
+    const average = parseFloat(code.rating) || 0;
+    this.optimistic.set(String(codeId), { rating: code.rating, ratingCount: code.ratingCount });
+    const result = {
+      rating: (average * count + rating) / (count + 1),
+      ratingCount: count + 1
+    };
+
+    Object.assign(code, result);
+    this.setUserRating(codeId, rating);
+    return result;
+  }
+
+  /**
+   * Send a rating to the server
+   * Resolves with the server's { rating, ratingCount } when it returns them, { queued: true } when
+   * saved to send once back online, otherwise null
+   * Clears the local rating again if the request fails
+   */
+  async submit(codeId, rating) {
+    try {
+      const response = await apiService.post(
+        `${CONFIG.ENDPOINTS.CODES.RATE}/${encodeURIComponent(codeId)}/rate`,
+        { rating },
+        true,
+        { queueOffline: true }
+      );
+
+      if (!response.success) {
+        throw new Error(response.data?.message || 'Failed to submit rating');
+      }
+
+      // Queued ratings keep their previous average until the replay is settled
+      if (response.queued) {
+        return { queued: true };
+      }
+
+      this.optimistic.delete(String(codeId));
+
+      const data = response.data || {};
+      const average = parseFloat(data.rating ?? data.averageRating ?? data.average);
+      if (isNaN(average)) return null;
+
+      const result = { rating: average };
+      const count = parseInt(data.ratingCount ?? data.ratingsCount ?? data.votes, 10);
+      if (!isNaN(count)) result.ratingCount = count;
+      return result;
+
+    } catch (error) {
+      this.setUserRating(codeId, null);
+      this.optimistic.delete(String(codeId));
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const ratingService = new RatingService();
@@ -0,0 +1,139 @@
+/**
+ * Saved Codes Service for Surely
+ * Keeps each user's saved codes in IndexedDB so they survive reloads and logouts
+ */
+
+class SavedCodesService {
+  constructor() {
+    this.storeName = 'saved_codes';
+    this.savedIds = new Set();
+    this.ready = this.init();
+
+    // Another user may log in on this device - never show the previous user's saves
+    window.addEventListener('authStateChanged', () => {
+      this.ready = this.init();
+    });
+  }
+
+  /**
+   * Load the current user's saved ids and drop expired codes
+   */
+  async init() {
+    this.savedIds = new Set();
+
+    try {
+      // Saves are keyed by user id, so make sure the user is loaded
+      if (await localDB.resolveUserId()) {
+        await this.cleanupExpired();
+        const saved = await this.getAll();
+        this.savedIds = new Set(saved.map(entry => entry.codeId));
+      }
+    } catch (error) {
+      console.error('Failed to load saved codes:', error);
+    }
+
+    this.notifyChange();
+  }
+
+  /**
+   * All saved entries for the current user, newest first
+   */
+  async getAll() {
+    const userId = localDB.getUserId();
+    if (!userId) return [];
+
+    const entries = await localDB.getAllForUser(this.storeName, userId);
+    return entries.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Check whether a code is saved (from the in-memory copy, for rendering)
+   */
+  isSaved(codeId) {
+    return this.savedIds.has(String(codeId));
+  }
+
+  /**
+   * Save a code for the current user
+   */
+  async save(code, codeId) {
+    await this.ready;
+
+    const userId = localDB.getUserId();
+    if (!userId) {
+      throw new Error('Please login to save codes');
+    }
+
+    const entry = {
+      userId,
+      codeId: String(codeId),
+      code,
+      savedAt: Date.now(),
+      expiresAt: code.expirationDate ? new Date(code.expirationDate).getTime() : null
+    };
+
+    await localDB.run(this.storeName, 'readwrite', store => store.put(entry));
+    this.savedIds.add(entry.codeId);
+    this.notifyChange();
+  }
+
+  /**
+   * Remove a saved code for the current user
+   */
+  async remove(codeId) {
+    const userId = localDB.getUserId();
+    if (!userId) return;
+
+    await localDB.run(this.storeName, 'readwrite', store => store.delete([userId, String(codeId)]));
+    this.savedIds.delete(String(codeId));
+    this.notifyChange();
+  }
+
+  /**
+   * Save or unsave a code
+   * Returns true when the code is now saved
+   */
+  async toggle(code, codeId) {
+    if (this.isSaved(codeId)) {
+      await this.remove(codeId);
+      return false;
+    }
+
+    await this.save(code, codeId);
+    return true;
+  }
+
+  /**
+   * Delete the current user's expired codes
+   */
+  async cleanupExpired() {
+    const now = Date.now();
+    const entries = await this.getAll();
+    const expired = entries.filter(entry => entry.expiresAt && entry.expiresAt < now);
+
+    await localDB.deleteMany(this.storeName, expired.map(entry => [entry.userId, entry.codeId]));
+  }
+
+  /**
+   * Delete every saved code for the current user (e.g. on account deletion)
+   */
+  async clearUser() {
+    const entries = await this.getAll();
+    await localDB.deleteMany(this.storeName, entries.map(entry => [entry.userId, entry.codeId]));
+
+    this.savedIds = new Set();
+    this.notifyChange();
+  }
+
+  /**
+   * Let open pages refresh their saved state
+   */
+  notifyChange() {
+    window.dispatchEvent(new CustomEvent('savedCodesChanged', {
+      detail: { savedIds: [...this.savedIds] }
+    }));
+  }
+}
+
+// Export singleton instance
+const savedCodesService = new SavedCodesService();
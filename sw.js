@@ -0,0 +1,193 @@
+/**
+ * Service Worker for Surely
+ * Precaches the app shell and keeps the last codes and subscription responses for offline use
+ */
+
+importScripts('./js/config.js');
+
+// Bump the version when the shell list changes so old caches are dropped on activate
+const SHELL_CACHE = 'surely-shell-v1';
+const API_CACHE = 'surely-api-v1';
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './pages/bet-builder.html',
+  './pages/code.html',
+  './pages/codes.html',
+  './pages/forgot-password.html',
+  './pages/login.html',
+  './pages/profile.html',
+  './pages/register.html',
+  './pages/subscription.html',
+  './pages/verify.html',
+  './css/style.css',
+  './css/auth.css',
+  './css/bet-builder.css',
+  './css/codes.css',
+  './css/home.css',
+  './css/profile.css',
+  './css/subscription.css',
+  './js/config.js',
+  './js/security.js',
+  './js/router.js',
+  './js/offline.js',
+  './js/codes.js',
+  './js/share-card.js',
+  './js/home.js',
+  './js/codes-list.js',
+  './js/code-detail.js',
+  './js/bet-builder.js',
+  './js/profile.js',
+  './js/avatar-editor.js',
+  './js/ledger-dashboard.js',
+  './js/subscription.js',
+  './js/login.js',
+  './js/register.js',
+  './js/forgot-password.js',
+  './js/verify.js',
+  './js/otp-input.js',
+  './services/api.service.js',
+  './services/auth.service.js',
+  './services/local-db.service.js',
+  './services/saved-codes.service.js',
+  './services/ledger.service.js',
+  './services/rating.service.js',
+  './services/offline-queue.service.js',
+  './services/codes-feed.service.js',
+  './services/otp.service.js',
+  './images/logo.png',
+  './images/surely-logo-footer.png',
+  './images/bg_pattern.png',
+  './images/footer_bg.png',
+  './images/hero-headline.png',
+  './images/hero-phone-mockup.png',
+  './images/app-store-button.png',
+  './images/google-play-button.png'
+];
+
+// API responses served from the cache when the network is down (exact paths - the codes stream isn't cached)
+const API_ORIGIN = new URL(CONFIG.API_BASE_URL).origin;
+const OFFLINE_API_PATHS = [CONFIG.ENDPOINTS.CODES.FREE, CONFIG.ENDPOINTS.PAYMENTS.ME];
+
+// Set on cached API responses so the page can tell it is looking at old data
+const CACHED_AT_HEADER = 'X-Surely-Cached-At';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('surely-') && key !== SHELL_CACHE && key !== API_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages ask for the API cache to be cleared when the user changes - /payments/me belongs to one user
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clearApiCache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === API_ORIGIN) {
+    if (OFFLINE_API_PATHS.includes(url.pathname)) {
+      event.respondWith(fetchApi(request));
+    }
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(request.mode === 'navigate' ? fetchPage(request) : fetchAsset(request));
+});
+
+/**
+ * Network first, keeping a stamped copy of each successful response for when it fails
+ */
+async function fetchApi(request) {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, await stampCachedAt(response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Copy of a response carrying the time it was cached
+ */
+async function stampCachedAt(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Pages are network first so deploys show up straight away
+ * Query strings are dropped from the cache key - code.html?id=... is the same page for every code
+ */
+async function fetchPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const pageUrl = request.url.split('?')[0];
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(pageUrl, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(pageUrl)) || (await cache.match('./index.html')) || Response.error();
+  }
+}
+
+/**
+ * Scripts, styles and images come from the cache and are refreshed in the background
+ */
+async function fetchAsset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+
+  return network;
+}